@@ -0,0 +1,25 @@
+/**
+ * Vercel Serverless Function - AI Extraction
+ * Transcription in, validated FHIR Bundle out; the provider is chosen by LLM_PROVIDER
+ */
+
+const llm = require('../llm');
+
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: { message: 'Method not allowed' } });
+        return;
+    }
+
+    await llm.handleExtract(req.body, res);
+};
@@ -1,6 +1,7 @@
 /**
  * Vercel serverless function to proxy OpenAI requests
- * Keeps API key secure on the backend
+ * Keeps API key secure on the backend. Disabled unless ENABLE_RAW_AI_PROXY=true -
+ * the app uses /api/extract, and an open relay would let anyone spend the key.
  */
 export default async function handler(req, res) {
     // Enable CORS
@@ -12,6 +13,10 @@ export default async function handler(req, res) {
         return res.status(200).end();
     }
 
+    if (process.env.ENABLE_RAW_AI_PROXY !== 'true') {
+        return res.status(404).json({ error: 'Raw AI proxy is disabled. Use /api/extract, or set ENABLE_RAW_AI_PROXY=true' });
+    }
+
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
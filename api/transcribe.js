@@ -0,0 +1,25 @@
+/**
+ * Vercel Serverless Function - Speech-to-text
+ * One audio clip in, transcript out; the backend is chosen by TRANSCRIBE_BACKEND
+ */
+
+const speech = require('../speech');
+
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Audio-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: { message: 'Method not allowed' } });
+        return;
+    }
+
+    await speech.handleTranscribe(req, res);
+};
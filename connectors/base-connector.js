@@ -8,6 +8,8 @@ class BaseConnector {
         this.config = config || {};
         this.name = 'Base';
         this.isDemo = false;
+        this.searchLimit = null;    // Most patients one search returns, where the EHR pages its results
+        this._pushJournal = null;
     }
 
     /**
@@ -28,14 +30,77 @@ class BaseConnector {
     }
 
     /**
-     * Create a new patient
-     * @param {Object} patientData - Patient information
+     * Check an identifier read from an ID card before searching for it, e.g. its check digit
+     * Connectors whose identifiers carry a check digit override this
+     * @param {string} identifier - Identifier as scanned
+     * @returns {boolean} False when the identifier can't be right (most likely misread)
+     */
+    isValidIdentifier(identifier) {
+        return typeof identifier === 'string' && identifier.trim().length > 0;
+    }
+
+    /**
+     * Create a new patient.
+     * Connectors call _withBirthdate() and then _checkForDuplicates() first, so a patient
+     * who may already be registered is only created once the user confirms (patientData.confirmedNew)
+     * @param {Object} patientData - Patient information:
+     *   givenName, middleName, familyName, gender ('M', 'F' or 'O'),
+     *   birthdate (YYYY-MM-DD) or age (years, when only the age is known - sets birthdateEstimated),
+     *   identifier and identifierType (the main identifier; generated when left out where the EHR can),
+     *   identifiers (further [{ identifier, identifierType }]), phone,
+     *   address ({ address1, address2, cityVillage, stateProvince, country, postalCode })
+     *   - middleName, the identifiers, phone and address are optional
      * @returns {Promise<Object>} Created patient object with UUID
      */
     async createPatient(patientData) {
         throw new Error('createPatient() must be implemented by connector');
     }
 
+    /**
+     * Identifier types a new patient can be given (optional capability)
+     * @returns {Promise<Array>} [{ uuid, name }] - uuid is what createPatient() takes as identifierType
+     */
+    async getIdentifierTypes() {
+        throw new Error(`getIdentifierTypes() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Patients born on a date (optional capability). Lets duplicate detection find
+     * a patient whose name was misspelled when they were registered
+     * @param {string} birthdate - YYYY-MM-DD
+     * @returns {Promise<Array>} Patients shaped like searchPatients() results
+     */
+    async searchPatientsByBirthdate(birthdate) {
+        throw new Error(`searchPatientsByBirthdate() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Find registered patients that may be the one about to be created
+     * Searches on each full name and, where the EHR can, the birthdate, then scores
+     * the patients found with PatientMatcher
+     * @param {Object} patientData - { givenName, familyName, gender, birthdate }
+     * @returns {Promise<Object>} { duplicates: [{ patient, score, reasons }] best match first,
+     *   capped: true when a search hit searchLimit, so a match may have been missed }
+     */
+    async findDuplicatePatients(patientData) {
+        const names = [...new Set(
+            [patientData.givenName, patientData.familyName]
+                .map(name => (name || '').trim())
+                .filter(name => name.length >= 2)
+        )];
+
+        const searches = names.map(name => this.searchPatients(name));
+        if (patientData.birthdate && this.supports('searchPatientsByBirthdate')) {
+            searches.push(this.searchPatientsByBirthdate(patientData.birthdate));
+        }
+
+        const results = await Promise.all(searches);
+        return {
+            duplicates: PatientMatcher.findDuplicates(patientData, results.flat()),
+            capped: !!this.searchLimit && results.some(patients => patients.length >= this.searchLimit)
+        };
+    }
+
     /**
      * Create or get active visit for patient
      * @param {string} patientUuid - Patient UUID
@@ -46,9 +111,12 @@ class BaseConnector {
     }
 
     /**
-     * Create an encounter (clinical note)
-     * @param {Object} encounterData - Encounter information
-     * @returns {Promise<Object>} Created encounter object
+     * Create an encounter (clinical note).
+     * When encounterData.idempotencyKey is set the connector stores it with the
+     * encounter, and a later call with the same key returns that encounter
+     * (flagged `reused: true`) instead of creating a duplicate.
+     * @param {Object} encounterData - { patientUuid, visitUuid, idempotencyKey }
+     * @returns {Promise<Object>} Created (or reused) encounter object
      */
     async createEncounter(encounterData) {
         throw new Error('createEncounter() must be implemented by connector');
@@ -74,6 +142,208 @@ class BaseConnector {
         throw new Error('addDiagnosis() must be implemented by connector');
     }
 
+    /**
+     * Add the structured note's sections to an encounter, one record each (optional capability).
+     * Without it the sections are written into the clinical notes text.
+     * @param {string} encounterId - Encounter UUID
+     * @param {Array<Object>} sections - [{ key, title, loinc, text }] in note order
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Array>} Created records
+     */
+    async addNoteSections(encounterId, sections, patientUuid) {
+        throw new Error(`addNoteSections() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Add vital signs to an encounter as numeric records (optional capability).
+     * Without it the vitals are only written into the clinical notes text.
+     * @param {string} encounterId - Encounter UUID
+     * @param {Array<Object>} vitals - [{ loinc, name, value, unit }] in the units of the shared Vitals table
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Array>} Created records
+     */
+    async addVitals(encounterId, vitals, patientUuid) {
+        throw new Error(`addVitals() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Order a medication prescribed in the encounter (optional capability).
+     * Without it prescriptions are only written into the clinical notes text.
+     * @param {string} encounterId - Encounter UUID
+     * @param {Object} medication - { name, dose, doseUnit, route, frequency, durationDays, quantity, text }
+     *   route and frequency use the shared Medications table's wording; text is the whole instruction
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Object|null>} Created order, or null if the medication could not be ordered
+     */
+    async addMedicationOrder(encounterId, medication, patientUuid) {
+        throw new Error(`addMedicationOrder() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Order a lab test or imaging study accepted on the review step (optional capability).
+     * Without it accepted orders are only written into the clinical notes text.
+     * @param {string} encounterId - Encounter UUID
+     * @param {Object} order - { type, name, code, priority, reason } - type 'lab' or 'imaging',
+     *   code a LOINC code or '', priority 'routine', 'urgent' or 'stat'
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Object|null>} Created order, or null if the test could not be ordered
+     */
+    async addTestOrder(encounterId, order, patientUuid) {
+        throw new Error(`addTestOrder() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Get the allergies recorded for a patient (optional capability).
+     * The review step checks prescriptions against them before pushing.
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Array>} [{ substance, category, reaction, severity }] - category is
+     *   'medication', 'food', 'environment', 'biologic' or null when the EHR doesn't say
+     */
+    async getAllergies(patientUuid) {
+        throw new Error(`getAllergies() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Summarise a patient's chart for the extraction prompt (optional capability).
+     * Lets the model tell known problems from new ones and read the encounter in context.
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Object>} { age, sex, conditions, medications, recentEncounters } where
+     *   conditions are [{ name, icd10, onsetDate }], medications [{ name, dosage }] and
+     *   recentEncounters [{ date, type, diagnoses }] newest first; age and sex may be null
+     */
+    async getPatientSummary(patientUuid) {
+        throw new Error(`getPatientSummary() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Get a patient's previous encounters for the history timeline (optional capability).
+     * Shown when the patient is selected, so the clinician can check it's the right chart.
+     * @param {string} patientUuid - Patient UUID
+     * @returns {Promise<Array>} [{ uuid, date, type, location, diagnoses, notes }] newest first -
+     *   date is an ISO datetime, diagnoses an array of names, notes the note text or null
+     */
+    async getPatientHistory(patientUuid) {
+        throw new Error(`getPatientHistory() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Submit a whole reviewed encounter atomically (optional capability).
+     * Connectors that can write everything in one request - e.g. a FHIR
+     * `transaction` Bundle - override this; check with supports('submitBundle').
+     * @param {Object} bundle - FHIR Bundle of type 'transaction'
+     * @returns {Promise<Object>} { encounter, resources } - created encounter and all created resources
+     */
+    async submitBundle(bundle) {
+        throw new Error(`submitBundle() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Build the transaction Bundle submitBundle() takes for a reviewed encounter (part of the same capability).
+     * It also opens the visit when the patient has none, so a rejected transaction leaves nothing behind
+     * @param {string} patientUuid - Patient UUID
+     * @param {Object} encounterData - { notes, reviewed, idempotencyKey } - notes is the clinical note text;
+     *   reviewed holds the review step's diagnoses, vitals, testOrders, allergies, medications and noteSections
+     * @returns {Promise<Object>} FHIR Bundle of type 'transaction'
+     */
+    async buildTransactionBundle(patientUuid, encounterData) {
+        throw new Error(`buildTransactionBundle() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Start recording every resource the connector creates, so a failed push
+     * can be reported exactly and, where supported, rolled back
+     */
+    beginPush() {
+        this._pushJournal = [];
+    }
+
+    /**
+     * Stop recording created resources
+     */
+    endPush() {
+        this._pushJournal = null;
+    }
+
+    /**
+     * Resources created since beginPush(), oldest first
+     * @returns {Array<Object>} Entries of { type, uuid, label }
+     */
+    getCreatedResources() {
+        return (this._pushJournal || []).slice();
+    }
+
+    /**
+     * Void everything created since beginPush() (optional capability)
+     * @param {string} reason - Reason recorded with the voided records
+     * @returns {Promise<Object>} { rolledBack, kept } - journal entries voided and entries left in place
+     */
+    async rollbackPush(reason) {
+        throw new Error(`rollbackPush() is not supported by the ${this.name} connector`);
+    }
+
+    /**
+     * Throw if the patient may already be registered and the user hasn't confirmed it's someone new
+     * @throws {Error} With `duplicates` set to the possible matches and `duplicatesCapped` to findDuplicatePatients()' capped
+     */
+    async _checkForDuplicates(patientData) {
+        if (patientData.confirmedNew) return;
+
+        // A capped search may have missed the match, so the user confirms even when none was found
+        const { duplicates, capped } = await this.findDuplicatePatients(patientData);
+        if (duplicates.length > 0 || capped) {
+            const error = new Error(duplicates.length > 0
+                ? `${duplicates.length} registered patient${duplicates.length === 1 ? '' : 's'} may be the same person`
+                : 'Too many registered patients have similar details to check them all');
+            error.duplicates = duplicates;
+            error.duplicatesCapped = capped;
+            throw error;
+        }
+    }
+
+    /**
+     * Patient data with a birthdate: one estimated from the age when only the age was given.
+     * Like OpenMRS, an estimated birthdate is 1 January of the year the patient was born
+     * @throws {Error} When there is neither a birthdate nor a valid age
+     */
+    _withBirthdate(patientData) {
+        if (patientData.birthdate) {
+            return { ...patientData, birthdateEstimated: !!patientData.birthdateEstimated };
+        }
+
+        const age = Number(patientData.age);
+        if (patientData.age === undefined || patientData.age === null || patientData.age === '' || !Number.isInteger(age) || age < 0 || age > 130) {
+            throw new Error('Patient birthdate or age (in whole years) is required');
+        }
+        return { ...patientData, birthdate: `${new Date().getFullYear() - age}-01-01`, birthdateEstimated: true };
+    }
+
+    /**
+     * Age in whole years on a date, from a YYYY-MM-DD birthdate
+     * @returns {number|null} Null when the birthdate is missing or invalid
+     */
+    _ageInYears(birthdate, on = new Date()) {
+        // Read the date parts as written: new Date('YYYY-MM-DD') is UTC midnight, a day early west of UTC
+        const match = typeof birthdate === 'string' && birthdate.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!match) return null;
+        const [year, month, day] = match.slice(1).map(Number);
+
+        let age = on.getFullYear() - year;
+        if (on.getMonth() + 1 < month || (on.getMonth() + 1 === month && on.getDate() < day)) {
+            age--;
+        }
+        return age;
+    }
+
+    /**
+     * Check whether the connector implements an optional method
+     * @param {string} method - Method name, e.g. 'submitBundle'
+     * @returns {boolean} True if the connector overrides the base implementation
+     */
+    supports(method) {
+        return typeof this[method] === 'function' &&
+            this[method] !== BaseConnector.prototype[method];
+    }
+
     /**
      * Get metadata about the connector for display
      * @returns {Object} Metadata (encounter types, locations, etc.)
@@ -100,6 +370,13 @@ class BaseConnector {
             isDemo: this.isDemo
         };
     }
+
+    // Record a created resource in the push journal (no-op outside a push)
+    _recordCreated(type, uuid, label) {
+        if (this._pushJournal && uuid) {
+            this._pushJournal.push({ type, uuid, label });
+        }
+    }
 }
 
 // Export for both Node.js and browser
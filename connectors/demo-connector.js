@@ -32,9 +32,46 @@ class DemoConnector extends BaseConnector {
             }
         ];
 
+        // Identifier types a registered patient can be given
+        this.identifierTypes = [
+            { uuid: 'demo-id', name: 'Demo ID' },
+            { uuid: 'demo-national-id', name: 'National ID' },
+            { uuid: 'demo-insurance-number', name: 'Insurance number' }
+        ];
+
+        // Recorded allergies, so the pre-push conflict check can be tried out
+        this.allergies = {
+            'demo-patient-001': [
+                { substance: 'Penicillin', category: 'medication', reaction: 'Hives', severity: 'Moderate' }
+            ],
+            'demo-patient-002': []
+        };
+
+        // Chart history for getPatientSummary(); encounters pushed in this session are added to it
+        this.conditions = {
+            'demo-patient-001': [
+                { name: 'Essential hypertension', icd10: 'I10', onsetDate: '2019-03-12' },
+                { name: 'Type 2 diabetes mellitus', icd10: 'E11.9', onsetDate: '2021-08-30' }
+            ],
+            'demo-patient-002': [
+                { name: 'Asthma', icd10: 'J45.909', onsetDate: '2010-05-04' }
+            ]
+        };
+        this.medications = {
+            'demo-patient-001': [
+                { name: 'Amlodipine', dosage: '5 mg oral once daily' },
+                { name: 'Metformin', dosage: '500 mg oral twice daily' }
+            ],
+            'demo-patient-002': [
+                { name: 'Salbutamol inhaler', dosage: '2 puffs inhaled as needed' }
+            ]
+        };
+
         this.visits = [];
         this.encounters = [];
         this.observations = [];
+        this.orders = [];
+        this._seedHistory();
     }
 
     async initialize() {
@@ -58,17 +95,38 @@ class DemoConnector extends BaseConnector {
         return results;
     }
 
+    async searchPatientsByBirthdate(birthdate) {
+        await this._simulateDelay(300);
+        return this.patients.filter(p => p.birthdate === birthdate);
+    }
+
     async createPatient(patientData) {
+        patientData = this._withBirthdate(patientData);
+        await this._checkForDuplicates(patientData);
         await this._simulateDelay(500);
 
+        const identifier = patientData.identifier || `DEMO${String(this.patients.length + 1).padStart(3, '0')}`;
+        const typeNames = Object.fromEntries(this.identifierTypes.map(type => [type.uuid, type.name]));
         const newPatient = {
             uuid: `demo-patient-${Date.now()}`,
-            display: `${patientData.givenName} ${patientData.familyName} (Demo ID: ${patientData.identifier})`,
+            display: `${patientData.givenName} ${patientData.familyName} (Demo ID: ${identifier})`,
             givenName: patientData.givenName,
+            middleName: patientData.middleName || null,
             familyName: patientData.familyName,
             gender: patientData.gender,
             birthdate: patientData.birthdate,
-            identifier: patientData.identifier
+            birthdateEstimated: patientData.birthdateEstimated,
+            identifier,
+            identifiers: [
+                { display: `Demo ID = ${identifier}`, identifier, identifierType: 'demo-id' },
+                ...(patientData.identifiers || []).filter(id => id?.identifier).map(id => ({
+                    display: `${typeNames[id.identifierType] || 'ID'} = ${id.identifier}`,
+                    identifier: id.identifier,
+                    identifierType: id.identifierType
+                }))
+            ],
+            phone: patientData.phone || null,
+            address: patientData.address || null
         };
 
         this.patients.push(newPatient);
@@ -76,6 +134,38 @@ class DemoConnector extends BaseConnector {
         return newPatient;
     }
 
+    async getIdentifierTypes() {
+        await this._simulateDelay(100);
+        return this.identifierTypes;
+    }
+
+    async getAllergies(patientUuid) {
+        await this._simulateDelay(200);
+        return this.allergies[patientUuid] || [];
+    }
+
+    async getPatientSummary(patientUuid) {
+        await this._simulateDelay(200);
+
+        const patient = this.patients.find(p => p.uuid === patientUuid);
+        const recentEncounters = this._history(patientUuid)
+            .slice(0, 5)
+            .map(e => ({ date: e.date.slice(0, 10), type: e.type, diagnoses: e.diagnoses }));
+
+        return {
+            age: this._ageInYears(patient?.birthdate),
+            sex: { M: 'male', F: 'female', O: 'other' }[patient?.gender] || null,
+            conditions: this.conditions[patientUuid] || [],
+            medications: this.medications[patientUuid] || [],
+            recentEncounters
+        };
+    }
+
+    async getPatientHistory(patientUuid) {
+        await this._simulateDelay(200);
+        return this._history(patientUuid);
+    }
+
     async getOrCreateVisit(patientUuid) {
         await this._simulateDelay(200);
 
@@ -100,6 +190,7 @@ class DemoConnector extends BaseConnector {
         };
 
         this.visits.push(newVisit);
+        this._recordCreated('visit', newVisit.uuid, 'Visit (Facility Visit)');
         console.log('✅ Demo: Created visit', newVisit.uuid);
         return newVisit;
     }
@@ -107,16 +198,26 @@ class DemoConnector extends BaseConnector {
     async createEncounter(encounterData) {
         await this._simulateDelay(300);
 
+        // A retried push of the same note reuses its encounter
+        const existing = encounterData.idempotencyKey &&
+            this.encounters.find(e => e.idempotencyKey === encounterData.idempotencyKey);
+        if (existing) {
+            console.log('♻️ Demo: Reusing encounter', existing.uuid);
+            return { ...existing, reused: true };
+        }
+
         const newEncounter = {
             uuid: `demo-encounter-${Date.now()}`,
             patient: encounterData.patientUuid,
             visit: encounterData.visitUuid,
             encounterType: 'Visit Note',
             encounterDatetime: new Date().toISOString(),
-            location: 'Demo Clinic'
+            location: 'Demo Clinic',
+            idempotencyKey: encounterData.idempotencyKey || null
         };
 
         this.encounters.push(newEncounter);
+        this._recordCreated('encounter', newEncounter.uuid, 'Encounter (Visit Note)');
         console.log('✅ Demo: Created encounter', newEncounter.uuid);
         return newEncounter;
     }
@@ -124,6 +225,11 @@ class DemoConnector extends BaseConnector {
     async addClinicalNotes(encounterId, notes) {
         await this._simulateDelay(200);
 
+        const existing = this._findObservation(encounterId, 'Clinical Notes');
+        if (existing) {
+            return existing;
+        }
+
         const observation = {
             uuid: `demo-obs-${Date.now()}`,
             encounter: encounterId,
@@ -133,13 +239,114 @@ class DemoConnector extends BaseConnector {
         };
 
         this.observations.push(observation);
+        this._recordCreated('obs', observation.uuid, 'Clinical notes');
         console.log('✅ Demo: Added clinical notes');
         return observation;
     }
 
+    async addNoteSections(encounterId, sections) {
+        await this._simulateDelay(200);
+
+        return sections.map(section => {
+            const concept = `Note: ${section.title}`;
+            const existing = this._findObservation(encounterId, concept);
+            if (existing) {
+                return existing;
+            }
+
+            const observation = {
+                uuid: `demo-obs-${Date.now()}-${section.key}`,
+                encounter: encounterId,
+                concept,
+                value: section.text,
+                obsDatetime: new Date().toISOString()
+            };
+
+            this.observations.push(observation);
+            this._recordCreated('obs', observation.uuid, `Note section: ${section.title}`);
+            return observation;
+        });
+    }
+
+    async addVitals(encounterId, vitals) {
+        await this._simulateDelay(200);
+
+        return vitals.map(vital => {
+            const concept = `Vital: ${vital.name}`;
+            const existing = this._findObservation(encounterId, concept);
+            if (existing) {
+                return existing;
+            }
+
+            const observation = {
+                uuid: `demo-obs-${Date.now()}-${vital.loinc}`,
+                encounter: encounterId,
+                concept,
+                value: vital.value,
+                units: vital.unit,
+                obsDatetime: new Date().toISOString()
+            };
+
+            this.observations.push(observation);
+            this._recordCreated('obs', observation.uuid, `Vital sign: ${vital.name} ${vital.value} ${vital.unit}`);
+            return observation;
+        });
+    }
+
+    async addMedicationOrder(encounterId, medication) {
+        await this._simulateDelay(200);
+
+        const existing = this.orders.find(o => o.encounter === encounterId && o.drug === medication.name);
+        if (existing) {
+            return existing;
+        }
+
+        const order = {
+            uuid: `demo-order-${Date.now()}`,
+            encounter: encounterId,
+            drug: medication.name,
+            dosingInstructions: medication.text,
+            dateActivated: new Date().toISOString()
+        };
+
+        this.orders.push(order);
+        this._recordCreated('order', order.uuid, `Medication order: ${medication.text}`);
+        console.log('✅ Demo: Added medication order:', medication.text);
+        return order;
+    }
+
+    async addTestOrder(encounterId, order) {
+        await this._simulateDelay(200);
+
+        const existing = this.orders.find(o => o.encounter === encounterId && o.test === order.name);
+        if (existing) {
+            return existing;
+        }
+
+        const testOrder = {
+            uuid: `demo-order-${Date.now()}`,
+            encounter: encounterId,
+            test: order.name,
+            type: order.type,
+            urgency: order.priority,
+            reason: order.reason,
+            dateActivated: new Date().toISOString()
+        };
+
+        this.orders.push(testOrder);
+        this._recordCreated('order', testOrder.uuid, `Test order: ${order.name}`);
+        console.log('✅ Demo: Added test order:', order.name);
+        return testOrder;
+    }
+
     async addDiagnosis(encounterId, diagnosis) {
         await this._simulateDelay(200);
 
+        const existing = this._findObservation(encounterId, 'Diagnosis', diagnosis);
+        if (existing) {
+            return existing;
+        }
+
         const observation = {
             uuid: `demo-obs-${Date.now()}`,
             encounter: encounterId,
@@ -149,10 +356,27 @@ class DemoConnector extends BaseConnector {
         };
 
         this.observations.push(observation);
+        this._recordCreated('obs', observation.uuid, `Diagnosis: ${diagnosis}`);
         console.log('✅ Demo: Added diagnosis:', diagnosis);
         return observation;
     }
 
+    async rollbackPush(reason) {
+        await this._simulateDelay(200);
+
+        const created = this.getCreatedResources();
+        const uuids = new Set(created.map(entry => entry.uuid));
+
+        this.visits = this.visits.filter(v => !uuids.has(v.uuid));
+        this.encounters = this.encounters.filter(e => !uuids.has(e.uuid));
+        this.observations = this.observations.filter(o => !uuids.has(o.uuid));
+        this.orders = this.orders.filter(o => !uuids.has(o.uuid));
+
+        this._pushJournal = [];
+        console.log('↩️ Demo: Rolled back', created.length, 'records -', reason);
+        return { rolledBack: created, kept: [] };
+    }
+
     getMetadata() {
         return {
             name: this.name,
@@ -173,18 +397,100 @@ class DemoConnector extends BaseConnector {
         };
     }
 
+    // Encounters for the history timeline, newest first
+    _history(patientUuid) {
+        return this.encounters
+            .filter(e => e.patient === patientUuid)
+            .sort((a, b) => b.encounterDatetime.localeCompare(a.encounterDatetime))
+            .map(e => {
+                const observations = this.observations.filter(o => o.encounter === e.uuid);
+                const sections = observations.filter(o => o.concept.startsWith('Note: '));
+                return {
+                    uuid: e.uuid,
+                    date: e.encounterDatetime,
+                    type: e.encounterType,
+                    location: e.location,
+                    diagnoses: observations.filter(o => o.concept === 'Diagnosis').map(o => o.value),
+                    notes: observations.find(o => o.concept === 'Clinical Notes')?.value ||
+                        sections.map(o => `${o.concept.slice(6)}:\n${o.value}`).join('\n\n') ||
+                        null
+                };
+            });
+    }
+
+    // Earlier visits for the demo patients, dated relative to today so they stay recent
+    _seedHistory() {
+        const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const history = [
+            {
+                patient: 'demo-patient-001', days: 34, encounterType: 'Visit Note',
+                diagnoses: ['Essential hypertension'],
+                notes: 'Follow-up for hypertension. BP 148/92 on amlodipine 5 mg. Advised on salt intake; review in 3 months.'
+            },
+            {
+                patient: 'demo-patient-001', days: 190, encounterType: 'Visit Note',
+                diagnoses: ['Type 2 diabetes mellitus', 'Essential hypertension'],
+                notes: 'Diabetes review. HbA1c 7.4%. Continue metformin 500 mg twice daily. Foot exam normal.'
+            },
+            {
+                patient: 'demo-patient-002', days: 75, encounterType: 'Visit Note',
+                diagnoses: ['Asthma'],
+                notes: 'Night-time cough and wheeze for a week after a cold. Chest clear at rest. Inhaler technique reviewed.'
+            }
+        ];
+
+        history.forEach((visit, i) => {
+            const encounter = {
+                uuid: `demo-encounter-history-${i + 1}`,
+                patient: visit.patient,
+                visit: null,
+                encounterType: visit.encounterType,
+                encounterDatetime: daysAgo(visit.days),
+                location: 'Demo Clinic',
+                idempotencyKey: null
+            };
+            this.encounters.push(encounter);
+            this.observations.push({
+                uuid: `demo-obs-history-${i + 1}-notes`,
+                encounter: encounter.uuid,
+                concept: 'Clinical Notes',
+                value: visit.notes,
+                obsDatetime: encounter.encounterDatetime
+            });
+            visit.diagnoses.forEach((diagnosis, j) => {
+                this.observations.push({
+                    uuid: `demo-obs-history-${i + 1}-dx-${j + 1}`,
+                    encounter: encounter.uuid,
+                    concept: 'Diagnosis',
+                    value: diagnosis,
+                    obsDatetime: encounter.encounterDatetime
+                });
+            });
+        });
+    }
+
     // Helper method to simulate network delay
     _simulateDelay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Observation already saved on an encounter (by an earlier attempt of the same push)
+    _findObservation(encounterId, concept, value) {
+        return this.observations.find(o =>
+            o.encounter === encounterId &&
+            o.concept === concept &&
+            (value === undefined || o.value === value)
+        ) || null;
+    }
+
     // Get all demo data (for debugging/export)
     getDemoData() {
         return {
             patients: this.patients,
             visits: this.visits,
             encounters: this.encounters,
-            observations: this.observations
+            observations: this.observations,
+            orders: this.orders
         };
     }
 }
@@ -0,0 +1,823 @@
+/**
+ * FHIR R4 EHR Connector
+ * Connects to any standard FHIR R4 server (HAPI FHIR, etc.) via REST
+ */
+
+class FhirConnector extends BaseConnector {
+    constructor(config) {
+        super(config);
+        this.name = 'FHIR R4';
+        this.isDemo = false;
+        this.searchLimit = 20;
+
+        // Configuration
+        this.baseUrl = (config.baseUrl || 'http://localhost:8080/fhir').replace(/\/+$/, '');
+        this.authType = config.authType || 'none'; // 'none', 'basic' or 'bearer'
+        this.username = config.username || '';
+        this.password = config.password || '';
+        this.token = config.token || '';
+        this.identifierSystem = config.identifierSystem || 'urn:aidstack:patient-id';
+        this.visitTypeName = config.visitTypeName || 'Ambulatory visit';
+        this.encounterTypeName = config.encounterTypeName || 'Visit Note';
+        this.pushKeySystem = config.pushKeySystem || 'urn:aidstack:push'; // Encounter.identifier for idempotent pushes
+        this._reusedEncounters = new Set();
+
+        // Loaded from the server's CapabilityStatement
+        this.serverName = null;
+        this.fhirVersion = null;
+    }
+
+    async initialize() {
+        console.log('🔥 Initializing FHIR connector...');
+
+        try {
+            const response = await this._fetch(this._buildUrl('/metadata'));
+
+            if (!response.ok) {
+                throw new Error(`CapabilityStatement request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const capability = await response.json();
+            this.fhirVersion = capability.fhirVersion || null;
+            this.serverName = capability.software?.name || capability.name || null;
+
+            if (this.fhirVersion && !this.fhirVersion.startsWith('4.')) {
+                throw new Error(`Server reports FHIR ${this.fhirVersion}, but only R4 (4.x) is supported`);
+            }
+
+            console.log('✅ FHIR connector initialized:', this.serverName || this.baseUrl, 'FHIR', this.fhirVersion);
+        } catch (error) {
+            console.error('❌ FHIR initialization failed:', error);
+            throw new Error(`Failed to initialize FHIR server: ${error.message}`);
+        }
+    }
+
+    async searchPatients(query) {
+        const searches = [];
+
+        if (!query) {
+            searches.push(`/Patient?_count=${this.searchLimit}&_sort=-_lastUpdated`);
+        } else {
+            searches.push(`/Patient?name=${encodeURIComponent(query)}&_count=${this.searchLimit}`);
+            searches.push(`/Patient?identifier=${encodeURIComponent(query)}&_count=${this.searchLimit}`);
+        }
+
+        return this._searchPatientBundles(searches);
+    }
+
+    async searchPatientsByBirthdate(birthdate) {
+        return this._searchPatientBundles([`/Patient?birthdate=${encodeURIComponent(birthdate)}&_count=${this.searchLimit}`]);
+    }
+
+    // Run Patient searches and merge their matches, de-duplicated by resource id
+    async _searchPatientBundles(searches) {
+        const bundles = await Promise.all(searches.map(async path => {
+            const response = await this._fetch(this._buildUrl(path));
+            if (!response.ok) {
+                throw new Error(`Patient search failed: ${await this._readError(response)}`);
+            }
+            return response.json();
+        }));
+
+        const patients = new Map();
+        for (const bundle of bundles) {
+            for (const entry of bundle.entry || []) {
+                if (entry.resource?.resourceType === 'Patient' && !patients.has(entry.resource.id)) {
+                    patients.set(entry.resource.id, this._toPatient(entry.resource));
+                }
+            }
+        }
+
+        return Array.from(patients.values());
+    }
+
+    async createPatient(patientData) {
+        patientData = this._withBirthdate(patientData);
+        await this._checkForDuplicates(patientData);
+
+        const resource = {
+            resourceType: 'Patient',
+            name: [{
+                use: 'official',
+                given: [patientData.givenName, patientData.middleName].filter(Boolean),
+                family: patientData.familyName
+            }],
+            gender: this._toFhirGender(patientData.gender),
+            birthDate: patientData.birthdate        // R4 has no flag for an estimated birthdate
+        };
+
+        const identifiers = [
+            ...(patientData.identifier ? [{ identifier: patientData.identifier, identifierType: patientData.identifierType }] : []),
+            ...(patientData.identifiers || []).filter(id => id?.identifier)
+        ];
+        if (identifiers.length > 0) {
+            resource.identifier = identifiers.map(id => ({
+                system: id.identifierType || this.identifierSystem,
+                value: id.identifier
+            }));
+        }
+        if (patientData.phone) {
+            resource.telecom = [{ system: 'phone', value: patientData.phone }];
+        }
+        if (patientData.address && Object.values(patientData.address).some(Boolean)) {
+            const { address1, address2, cityVillage, stateProvince, country, postalCode } = patientData.address;
+            resource.address = [{
+                line: [address1, address2].filter(Boolean),
+                city: cityVillage || undefined,
+                state: stateProvince || undefined,
+                country: country || undefined,
+                postalCode: postalCode || undefined
+            }];
+        }
+
+        const created = await this._create(resource);
+        return this._toPatient(created);
+    }
+
+    async getAllergies(patientUuid) {
+        const url = this._buildUrl(`/AllergyIntolerance?patient=${encodeURIComponent(`Patient/${patientUuid}`)}`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load allergies: ${await this._readError(response)}`);
+        }
+
+        const bundle = await response.json();
+        return (bundle.entry || [])
+            .map(e => e.resource)
+            .filter(r => r?.resourceType === 'AllergyIntolerance' && r.verificationStatus?.coding?.[0]?.code !== 'entered-in-error')
+            .map(r => ({
+                substance: r.code?.text || r.code?.coding?.[0]?.display || 'Unknown allergen',
+                category: r.category?.[0] || null,
+                reaction: (r.reaction || [])
+                    .flatMap(reaction => reaction.manifestation || [])
+                    .map(m => m.text || m.coding?.[0]?.display)
+                    .filter(Boolean)
+                    .join(', '),
+                severity: r.criticality === 'high' ? 'Severe' : null
+            }));
+    }
+
+    async getOrCreateVisit(patientUuid) {
+        const activeVisit = await this._findActiveVisit(patientUuid);
+        if (activeVisit) {
+            console.log('Using existing active visit');
+            return this._withUuid(activeVisit);
+        }
+
+        const visit = await this._create({
+            resourceType: 'Encounter',
+            status: 'in-progress',
+            class: this._ambulatoryClass(),
+            type: [{ text: this.visitTypeName }],
+            subject: { reference: `Patient/${patientUuid}` },
+            period: { start: new Date().toISOString() }
+        });
+
+        return this._withUuid(visit);
+    }
+
+    async createEncounter(encounterData) {
+        const key = encounterData.idempotencyKey;
+
+        // A retried push of the same note reuses its encounter instead of charting it twice
+        if (key) {
+            const existing = await this._findEncounterByKey(key);
+            if (existing) {
+                console.log('♻️ Reusing encounter already pushed for this note:', existing.id);
+                this._reusedEncounters.add(existing.id);
+                return { ...this._withUuid(existing), reused: true };
+            }
+        }
+
+        const resource = {
+            resourceType: 'Encounter',
+            status: 'finished',
+            class: this._ambulatoryClass(),
+            type: [{ text: this.encounterTypeName }],
+            subject: { reference: `Patient/${encounterData.patientUuid}` },
+            period: { start: new Date().toISOString() }
+        };
+
+        if (key) {
+            resource.identifier = [{ system: this.pushKeySystem, value: key }];
+        }
+
+        if (encounterData.visitUuid) {
+            resource.partOf = { reference: `Encounter/${encounterData.visitUuid}` };
+        }
+
+        const encounter = await this._create(resource);
+        return this._withUuid(encounter);
+    }
+
+    async addClinicalNotes(encounterId, notes, patientUuid) {
+        if (!patientUuid) {
+            patientUuid = await this._getEncounterPatient(encounterId);
+        }
+
+        // Notes already saved by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const [existing] = await this._searchByEncounter('DocumentReference', encounterId);
+            if (existing) {
+                console.log('♻️ Clinical notes already on encounter, skipping');
+                return this._withUuid(existing);
+            }
+        }
+
+        const documentReference = await this._create({
+            resourceType: 'DocumentReference',
+            status: 'current',
+            type: {
+                coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }],
+                text: 'Clinical note'
+            },
+            subject: { reference: `Patient/${patientUuid}` },
+            date: new Date().toISOString(),
+            content: [{
+                attachment: {
+                    contentType: 'text/plain; charset=utf-8',
+                    data: this._toBase64(notes),
+                    title: 'Clinical encounter summary'
+                }
+            }],
+            context: {
+                encounter: [{ reference: `Encounter/${encounterId}` }]
+            }
+        });
+
+        return this._withUuid(documentReference);
+    }
+
+    async addDiagnosis(encounterId, diagnosis, patientUuid, icd10Code = null, confidence = 0.8, rank = 1) {
+        console.log('🔍 Adding diagnosis:', diagnosis, 'ICD-10:', icd10Code, 'Confidence:', confidence, 'Rank:', rank);
+
+        if (!patientUuid) {
+            patientUuid = await this._getEncounterPatient(encounterId);
+        }
+
+        // Diagnosis already saved by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const existing = (await this._searchByEncounter('Condition', encounterId))
+                .find(c => c.code?.text === diagnosis);
+            if (existing) {
+                console.log('♻️ Diagnosis already on encounter, skipping:', diagnosis);
+                return this._withUuid(existing);
+            }
+        }
+
+        const condition = await this._create({
+            resourceType: 'Condition',
+            clinicalStatus: {
+                coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+            },
+            verificationStatus: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+                    code: confidence < 0.8 ? 'provisional' : 'confirmed'
+                }]
+            },
+            category: [{
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+                    code: 'encounter-diagnosis',
+                    display: 'Encounter Diagnosis'
+                }]
+            }],
+            code: {
+                text: diagnosis,
+                coding: icd10Code ? [{ system: 'http://hl7.org/fhir/sid/icd-10', code: icd10Code }] : undefined
+            },
+            subject: { reference: `Patient/${patientUuid}` },
+            encounter: { reference: `Encounter/${encounterId}` },
+            recordedDate: new Date().toISOString(),
+            note: [{ text: `Rank ${rank}, AI confidence ${Math.round(confidence * 100)}%` }]
+        });
+
+        console.log('✅ Diagnosis added successfully:', condition.id);
+        return this._withUuid(condition);
+    }
+
+    /**
+     * The transaction Bundle for a reviewed encounter, for submitBundle().
+     * Resources reference each other through urn:uuid fullUrls, which the server resolves
+     */
+    async buildTransactionBundle(patientUuid, { notes, reviewed, idempotencyKey }) {
+        const now = new Date().toISOString();
+        const patientRef = { reference: `Patient/${patientUuid}` };
+        const encounterUrl = `urn:uuid:${this._newUuid()}`;
+
+        const conditionEntries = reviewed.diagnoses.map(dx => ({
+            fullUrl: `urn:uuid:${this._newUuid()}`,
+            resource: {
+                resourceType: 'Condition',
+                clinicalStatus: {
+                    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+                },
+                verificationStatus: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+                        code: dx.confidence < 0.8 ? 'provisional' : 'confirmed'
+                    }]
+                },
+                // A problem already on the chart is also a problem-list item
+                category: [{
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+                        code: 'encounter-diagnosis'
+                    }]
+                }, ...(dx.status === 'existing' ? [{
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+                        code: 'problem-list-item'
+                    }]
+                }] : [])],
+                code: {
+                    text: dx.name,
+                    coding: dx.icd10 ? [{ system: 'http://hl7.org/fhir/sid/icd-10', code: dx.icd10 }] : undefined
+                },
+                subject: patientRef,
+                encounter: { reference: encounterUrl },
+                recordedDate: now,
+                note: dx.evidence ? [{ text: dx.evidence }] : undefined
+            },
+            request: { method: 'POST', url: 'Condition' }
+        }));
+
+        const encounter = {
+            resourceType: 'Encounter',
+            status: 'finished',
+            class: this._ambulatoryClass(),
+            type: [{ text: this.encounterTypeName }],
+            subject: patientRef,
+            period: { start: now },
+            diagnosis: conditionEntries.map((entry, i) => ({
+                condition: { reference: entry.fullUrl },
+                rank: i + 1
+            }))
+        };
+
+        // File the encounter under the patient's active visit, or open one in the same transaction
+        const entries = [];
+        const activeVisit = await this._findActiveVisit(patientUuid);
+        if (activeVisit) {
+            encounter.partOf = { reference: `Encounter/${activeVisit.id}` };
+        } else {
+            const visitUrl = `urn:uuid:${this._newUuid()}`;
+            encounter.partOf = { reference: visitUrl };
+            entries.push({
+                fullUrl: visitUrl,
+                resource: {
+                    resourceType: 'Encounter',
+                    status: 'in-progress',
+                    class: this._ambulatoryClass(),
+                    type: [{ text: this.visitTypeName }],
+                    subject: patientRef,
+                    period: { start: now }
+                },
+                request: { method: 'POST', url: 'Encounter' }
+            });
+        }
+
+        const encounterRequest = { method: 'POST', url: 'Encounter' };
+        if (idempotencyKey) {
+            // Lets the connector (and the server, via ifNoneExist) recognise a retried push
+            encounter.identifier = [{ system: this.pushKeySystem, value: idempotencyKey }];
+            encounterRequest.ifNoneExist = `identifier=${this.pushKeySystem}|${idempotencyKey}`;
+        }
+
+        entries.push({
+            fullUrl: encounterUrl,
+            resource: encounter,
+            request: encounterRequest
+        });
+
+        if (notes) {
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: {
+                    resourceType: 'DocumentReference',
+                    status: 'current',
+                    type: {
+                        coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }],
+                        text: 'Clinical note'
+                    },
+                    subject: patientRef,
+                    date: now,
+                    content: [{
+                        attachment: {
+                            contentType: 'text/plain; charset=utf-8',
+                            data: this._toBase64(notes),
+                            title: 'Clinical encounter summary'
+                        }
+                    }],
+                    context: { encounter: [{ reference: encounterUrl }] }
+                },
+                request: { method: 'POST', url: 'DocumentReference' }
+            });
+        }
+
+        // Vital signs as coded, numeric Observations
+        reviewed.vitals.forEach(vital => {
+            const type = Vitals.get(vital.loinc);
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: {
+                    resourceType: 'Observation',
+                    status: 'final',
+                    category: [{
+                        coding: [{
+                            system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                            code: 'vital-signs',
+                            display: 'Vital Signs'
+                        }]
+                    }],
+                    code: {
+                        text: vital.name,
+                        coding: vital.loinc ? [{ system: 'http://loinc.org', code: vital.loinc, display: vital.name }] : undefined
+                    },
+                    subject: patientRef,
+                    encounter: { reference: encounterUrl },
+                    effectiveDateTime: now,
+                    valueQuantity: type && vital.unit === type.unit
+                        ? { value: vital.value, unit: vital.unit, system: 'http://unitsofmeasure.org', code: type.ucum }
+                        : { value: vital.value, unit: vital.unit }
+                },
+                request: { method: 'POST', url: 'Observation' }
+            });
+        });
+
+        // Accepted lab and imaging orders
+        reviewed.testOrders.forEach(order => {
+            const type = TestOrders.TYPES[order.type];
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: {
+                    resourceType: 'ServiceRequest',
+                    status: 'active',
+                    intent: 'order',
+                    category: type
+                        ? [{ coding: [{ system: 'http://snomed.info/sct', code: type.snomed, display: type.display }] }]
+                        : undefined,
+                    priority: order.priority,
+                    code: {
+                        text: order.name,
+                        coding: order.code ? [{ system: 'http://loinc.org', code: order.code, display: order.name }] : undefined
+                    },
+                    subject: patientRef,
+                    encounter: { reference: encounterUrl },
+                    authoredOn: now,
+                    reasonCode: order.reason ? [{ text: order.reason }] : undefined
+                },
+                request: { method: 'POST', url: 'ServiceRequest' }
+            });
+        });
+
+        // Dictated allergies
+        reviewed.allergies.forEach(allergy => {
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: {
+                    resourceType: 'AllergyIntolerance',
+                    clinicalStatus: {
+                        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }]
+                    },
+                    verificationStatus: {
+                        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification', code: 'unconfirmed' }]
+                    },
+                    type: allergy.type,
+                    category: allergy.category ? [allergy.category] : undefined,
+                    criticality: allergy.severity === 'Severe' ? 'high' : undefined,
+                    code: { text: allergy.substance },
+                    patient: patientRef,
+                    encounter: { reference: encounterUrl },
+                    recordedDate: now,
+                    reaction: allergy.reaction
+                        ? [{ manifestation: allergy.reaction.split(/,\s*/).map(text => ({ text })) }]
+                        : undefined
+                },
+                request: { method: 'POST', url: 'AllergyIntolerance' }
+            });
+        });
+
+        // Prescribed medications as orders, the ones already taken as statements
+        reviewed.medications.forEach(med => {
+            const medication = { text: med.name };
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: med.ordered
+                    ? {
+                        resourceType: 'MedicationRequest',
+                        status: 'active',
+                        intent: 'order',
+                        medicationCodeableConcept: medication,
+                        subject: patientRef,
+                        encounter: { reference: encounterUrl },
+                        authoredOn: now,
+                        dosageInstruction: [Medications.toFhirDosage(med)]
+                    }
+                    : {
+                        resourceType: 'MedicationStatement',
+                        status: 'active',
+                        medicationCodeableConcept: medication,
+                        subject: patientRef,
+                        context: { reference: encounterUrl },
+                        dateAsserted: now,
+                        dosage: [Medications.toFhirDosage(med)]
+                    },
+                request: { method: 'POST', url: med.ordered ? 'MedicationRequest' : 'MedicationStatement' }
+            });
+        });
+
+        // The structured note as a Composition, one section per note section
+        if (reviewed.noteSections.length > 0) {
+            entries.push({
+                fullUrl: `urn:uuid:${this._newUuid()}`,
+                resource: {
+                    resourceType: 'Composition',
+                    status: 'final',
+                    type: {
+                        coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }],
+                        text: 'Clinical note'
+                    },
+                    subject: patientRef,
+                    encounter: { reference: encounterUrl },
+                    date: now,
+                    author: [{ display: 'Aidstack Medical AI' }],
+                    title: 'Clinical note',
+                    section: reviewed.noteSections.map(section => ({
+                        title: section.title,
+                        code: section.loinc
+                            ? { coding: [{ system: 'http://loinc.org', code: section.loinc, display: section.title }] }
+                            : { text: section.title },
+                        text: {
+                            status: 'generated',
+                            div: `<div xmlns="http://www.w3.org/1999/xhtml">${this._escapeXhtml(section.text.trim()).replace(/\n/g, '<br/>')}</div>`
+                        }
+                    }))
+                },
+                request: { method: 'POST', url: 'Composition' }
+            });
+        }
+
+        return {
+            resourceType: 'Bundle',
+            type: 'transaction',
+            entry: entries.concat(conditionEntries)
+        };
+    }
+
+    async submitBundle(bundle) {
+        if (bundle?.resourceType !== 'Bundle' || bundle.type !== 'transaction') {
+            throw new Error('submitBundle() expects a FHIR Bundle of type "transaction"');
+        }
+
+        // The note's encounter is the one filed under a visit - the bundle may open the visit too
+        const encounters = (bundle.entry || []).filter(e => e.resource?.resourceType === 'Encounter');
+        const encounterIndex = bundle.entry?.indexOf(encounters.find(e => e.resource.partOf) || encounters[0]) ?? -1;
+
+        // The transaction is all-or-nothing, so if its encounter exists the whole note was already committed
+        const key = bundle.entry?.[encounterIndex]
+            ?.resource.identifier?.find(id => id.system === this.pushKeySystem)?.value;
+        if (key) {
+            const existing = await this._findEncounterByKey(key);
+            if (existing) {
+                console.log('♻️ Transaction already committed for this note:', existing.id);
+                return { encounter: { uuid: existing.id, reused: true }, resources: [] };
+            }
+        }
+
+        console.log('📦 Submitting transaction Bundle with', bundle.entry?.length || 0, 'entries');
+        const response = await this._fetch(this._buildUrl(''), {
+            method: 'POST',
+            body: JSON.stringify(bundle)
+        });
+
+        if (!response.ok) {
+            // The server rolls back the whole transaction on any failure
+            const errorText = await this._readError(response);
+            console.error('Transaction error:', errorText);
+            throw new Error(`Transaction rejected: ${errorText}`);
+        }
+
+        const result = await response.json();
+
+        // Response entries are in the same order as the request entries
+        const resources = (result.entry || []).map((entry, i) => {
+            const location = entry.response?.location || '';
+            const [resourceType, id] = location.split('/');
+            return {
+                resourceType: resourceType || bundle.entry[i]?.resource?.resourceType,
+                id: id || entry.resource?.id,
+                status: entry.response?.status
+            };
+        });
+
+        const encounter = resources[encounterIndex];
+        if (encounter?.resourceType !== 'Encounter') {
+            throw new Error('Transaction response did not include the created Encounter');
+        }
+
+        console.log('✅ Transaction committed:', resources.map(r => `${r.resourceType}/${r.id}`).join(', '));
+        return { encounter: { uuid: encounter.id }, resources };
+    }
+
+    getMetadata() {
+        return {
+            name: this.name,
+            encounterType: this.encounterTypeName,
+            visitType: this.visitTypeName,
+            location: this.serverName || this.baseUrl,
+            isDemo: false
+        };
+    }
+
+    getInfo() {
+        return {
+            name: 'FHIR R4',
+            description: 'Connect to any FHIR R4 server (HAPI FHIR and compatible)',
+            requiresAuth: this.authType !== 'none',
+            isDemo: false,
+            icon: '🔥'
+        };
+    }
+
+    // Private helper methods
+
+    _toPatient(resource) {
+        const name = resource.name?.find(n => n.use === 'official') || resource.name?.[0] || {};
+        const givenName = (name.given || []).join(' ');
+        const familyName = name.family || '';
+        const identifier = resource.identifier?.[0]?.value || '';
+
+        return {
+            uuid: resource.id,
+            display: identifier ? `${identifier} - ${givenName} ${familyName}`.trim() : `${givenName} ${familyName}`.trim(),
+            givenName,
+            familyName,
+            gender: resource.gender === 'male' ? 'M' : resource.gender === 'female' ? 'F' : 'U',
+            birthdate: resource.birthDate || null,
+            identifier,
+            identifiers: (resource.identifier || []).map(id => ({
+                display: id.value,
+                identifier: id.value,
+                system: id.system
+            })),
+            resource
+        };
+    }
+
+    _toFhirGender(gender) {
+        const value = (gender || '').toString().toLowerCase();
+        if (value === 'm' || value === 'male') return 'male';
+        if (value === 'f' || value === 'female') return 'female';
+        if (value === 'o' || value === 'other') return 'other';
+        return 'unknown';
+    }
+
+    _ambulatoryClass() {
+        return {
+            system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+            code: 'AMB',
+            display: 'ambulatory'
+        };
+    }
+
+    _withUuid(resource) {
+        return { ...resource, uuid: resource.id };
+    }
+
+    _newUuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // Narrative XHTML needs the section text escaped
+    _escapeXhtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    _toBase64(text) {
+        // btoa() only accepts Latin-1, so encode as UTF-8 first
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    // A "visit" is modelled as a top-level in-progress Encounter
+    async _findActiveVisit(patientUuid) {
+        const url = this._buildUrl(
+            `/Encounter?subject=Patient/${encodeURIComponent(patientUuid)}&status=in-progress&_sort=-date&_count=20`
+        );
+        const response = await this._fetch(url);
+        if (!response.ok) return null;
+
+        const bundle = await response.json();
+        return (bundle.entry || [])
+            .map(e => e.resource)
+            .find(r => r?.resourceType === 'Encounter' && !r.partOf) || null;
+    }
+
+    async _getEncounterPatient(encounterId) {
+        const response = await this._fetch(this._buildUrl(`/Encounter/${encodeURIComponent(encounterId)}`));
+        if (!response.ok) {
+            throw new Error(`Failed to load encounter: ${await this._readError(response)}`);
+        }
+        const encounter = await response.json();
+        return encounter.subject?.reference?.replace('Patient/', '');
+    }
+
+    async _findEncounterByKey(key) {
+        const url = this._buildUrl(`/Encounter?identifier=${encodeURIComponent(`${this.pushKeySystem}|${key}`)}`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            // Creating blindly could chart the note twice, so don't guess
+            throw new Error(`Could not check for an earlier push of this note: ${await this._readError(response)}`);
+        }
+
+        const bundle = await response.json();
+        return (bundle.entry || [])
+            .map(e => e.resource)
+            .find(r => r?.resourceType === 'Encounter' && r.status !== 'entered-in-error') || null;
+    }
+
+    async _searchByEncounter(resourceType, encounterId) {
+        const url = this._buildUrl(`/${resourceType}?encounter=${encodeURIComponent(`Encounter/${encounterId}`)}`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to search ${resourceType}: ${await this._readError(response)}`);
+        }
+
+        const bundle = await response.json();
+        return (bundle.entry || [])
+            .map(e => e.resource)
+            .filter(r => r?.resourceType === resourceType && r.status !== 'entered-in-error');
+    }
+
+    async _create(resource) {
+        const url = this._buildUrl(`/${resource.resourceType}`);
+        const response = await this._fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(resource)
+        });
+
+        if (!response.ok) {
+            const errorText = await this._readError(response);
+            console.error(`${resource.resourceType} creation error:`, errorText);
+            throw new Error(`Failed to create ${resource.resourceType}: ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
+    async _readError(response) {
+        const text = await response.text();
+        try {
+            // Surface OperationOutcome diagnostics when the server sends them
+            const outcome = JSON.parse(text);
+            const issues = (outcome.issue || [])
+                .map(i => i.diagnostics || i.details?.text)
+                .filter(Boolean);
+            if (issues.length > 0) {
+                return issues.join('; ');
+            }
+        } catch (e) {
+            // Not JSON - fall through to the raw body
+        }
+        return text || `${response.status} ${response.statusText}`;
+    }
+
+    _buildUrl(path) {
+        return `${this.baseUrl}${path}`;
+    }
+
+    async _fetch(url, options = {}) {
+        const headers = {
+            'Accept': 'application/fhir+json',
+            'Content-Type': 'application/fhir+json',
+            // Ask for the stored resource back on create so callers get ids
+            'Prefer': 'return=representation'
+        };
+
+        if (this.authType === 'basic') {
+            headers['Authorization'] = `Basic ${btoa(`${this.username}:${this.password}`)}`;
+        } else if (this.authType === 'bearer' && this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        return fetch(url, { ...options, headers: { ...headers, ...(options.headers || {}) } });
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FhirConnector;
+}
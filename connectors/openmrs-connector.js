@@ -8,6 +8,7 @@ class OpenMRSConnector extends BaseConnector {
         super(config);
         this.name = 'OpenMRS';
         this.isDemo = false;
+        this.searchLimit = 50;      // The REST module's default page size
 
         // Configuration
         this.baseUrl = config.baseUrl || 'https://dev3.openmrs.org/openmrs';
@@ -24,7 +25,48 @@ class OpenMRSConnector extends BaseConnector {
         this.visitTypeUUID = config.visitTypeUUID || null;
         this.visitTypeName = null;
         this.clinicalNotesConceptUUID = config.clinicalNotesConceptUUID || null;
+        this.noteSectionConcepts = config.noteSectionConcepts || {}; // Section key -> text concept UUID; others use clinical notes
         this.diagnosisConceptUUID = null;
+        this.phoneAttributeTypeUUID = config.phoneAttributeTypeUUID || null; // Person attribute for phone numbers; else "Telephone Number" is looked up
+        this.identifierTypes = [];  // { uuid, name, format, luhn } - which identifiers isValidIdentifier() Luhn-checks
+
+        // CIEL vitals concepts by LOINC code; units and absolute ranges come from the shared Vitals table
+        this.vitalConcepts = {
+            '8480-6': { uuid: '5085AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '8462-4': { uuid: '5086AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '8867-4': { uuid: '5087AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '9279-1': { uuid: '5242AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '8310-5': { uuid: '5088AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '59408-5': { uuid: '5092AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '29463-7': { uuid: '5089AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            '8302-2': { uuid: '5090AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+            ...(config.vitalConcepts || {})
+        };
+
+        // Medication orders: care setting and ordering provider are looked up when first needed
+        this.careSettingUUID = config.careSettingUUID || null;
+        this.providerUUID = config.providerUUID || null;
+        this.imagingOrderTypeUUID = config.imagingOrderTypeUUID || null;   // e.g. a radiology order type; labs use the default test order type
+        this._orderConfig = null;
+
+        // Dosing wording from the shared Medications table -> names in OpenMRS's order entry vocabulary (CIEL)
+        this.dosingNames = {
+            'mg': ['milligram'], 'g': ['gram'], 'mcg': ['microgram'], 'ml': ['milliliter', 'millilitre'],
+            'tablet': ['tablet'], 'tablets': ['tablet'], 'capsule': ['capsule'], 'capsules': ['capsule'],
+            'iu': ['international units'], 'drops': ['drop'], 'puffs': ['puff'],
+            'inhaled': ['inhalation'],
+            'once daily': ['daily'], 'three times daily': ['thrice daily'],
+            'every 4 hours': ['every four hours'], 'every 6 hours': ['every six hours'], 'every 8 hours': ['every eight hours'],
+            'at night': ['once daily, at bedtime', 'at bedtime'], 'once': ['immediately'],
+            ...(config.dosingNames || {})
+        };
+
+        // Idempotency: each push's key is the formFieldPath of an obs in this form namespace - a marker obs
+        // in pushKeyConceptUUID (a text concept kept for it) when configured, otherwise the clinical notes obs
+        this.idempotencyNamespace = config.idempotencyNamespace || 'aidstack';
+        this.pushKeyConceptUUID = config.pushKeyConceptUUID || null;
+        this._pushKeys = new Map();     // Encounter UUID -> key its clinical notes still have to carry
+        this._reusedEncounters = new Set();
     }
 
     async initialize() {
@@ -35,7 +77,8 @@ class OpenMRSConnector extends BaseConnector {
                 this._loadEncounterTypes(),
                 this._loadLocations(),
                 this._loadVisitTypes(),
-                this._loadConcepts()
+                this._loadConcepts(),
+                this._loadIdentifierTypes()
             ]);
 
             console.log('✅ OpenMRS connector initialized successfully');
@@ -46,18 +89,45 @@ class OpenMRSConnector extends BaseConnector {
     }
 
     async searchPatients(query) {
-        const url = this._buildUrl(`/ws/rest/v1/patient?q=${encodeURIComponent(query)}`);
+        const url = this._buildUrl(
+            `/ws/rest/v1/patient?q=${encodeURIComponent(query)}&limit=${this.searchLimit}` +
+            '&v=custom:(uuid,display,identifiers:(uuid,display,identifier),person:(gender,birthdate,birthdateEstimated,preferredName:(givenName,familyName)))'
+        );
         const response = await this._fetch(url);
 
         if (!response.ok) {
             throw new Error(`Patient search failed: ${response.statusText}`);
         }
 
+        // Name, gender and birthdate flattened like the other connectors' patients, for duplicate matching
         const data = await response.json();
-        return data.results || [];
+        return (data.results || []).map(patient => ({
+            ...patient,
+            givenName: patient.person?.preferredName?.givenName || '',
+            familyName: patient.person?.preferredName?.familyName || '',
+            gender: patient.person?.gender || null,
+            birthdate: patient.person?.birthdate ? patient.person.birthdate.slice(0, 10) : null,
+            birthdateEstimated: !!patient.person?.birthdateEstimated
+        }));
+    }
+
+    // The Luhn check digit is only checked when every identifier type the value fits validates with Luhn;
+    // others (e.g. OpenMRS ID's base-30 check character, or types without a validator) are taken as read
+    isValidIdentifier(identifier) {
+        if (!super.isValidIdentifier(identifier)) return false;
+
+        const value = identifier.trim();
+        if (!/^\d{2,}$/.test(value)) return true;
+
+        const types = this.identifierTypes.filter(type => this._matchesFormat(value, type.format));
+        if (types.length === 0 || !types.every(type => type.luhn)) return true;
+        return this._addLuhnCheckDigit(value.slice(0, -1)) === value;
     }
 
     async createPatient(patientData) {
+        patientData = this._withBirthdate(patientData);
+        await this._checkForDuplicates(patientData);
+
         // Get or use default identifier type UUID
         let identifierTypeUuid = patientData.identifierType;
 
@@ -127,18 +197,41 @@ class OpenMRSConnector extends BaseConnector {
             person: {
                 names: [{
                     givenName: patientData.givenName,
+                    ...(patientData.middleName ? { middleName: patientData.middleName } : {}),
                     familyName: patientData.familyName
                 }],
                 gender: patientData.gender === 'male' ? 'M' : patientData.gender === 'female' ? 'F' : patientData.gender.toUpperCase(),
-                birthdate: patientData.birthdate
+                birthdate: patientData.birthdate,
+                birthdateEstimated: patientData.birthdateEstimated
             },
             identifiers: [{
                 identifier: identifier,
                 identifierType: identifierTypeUuid,
-                location: this.locationUUID
-            }]
+                location: this.locationUUID,
+                preferred: true
+            }, ...(patientData.identifiers || [])
+                .filter(id => id?.identifier && id.identifierType)
+                .map(id => ({
+                    identifier: id.identifier,
+                    identifierType: id.identifierType,
+                    location: this.locationUUID
+                }))]
         };
 
+        const address = this._toAddress(patientData.address);
+        if (address) {
+            payload.person.addresses = [{ ...address, preferred: true }];
+        }
+
+        if (patientData.phone) {
+            const phoneAttributeType = await this._getPhoneAttributeType();
+            if (phoneAttributeType) {
+                payload.person.attributes = [{ attributeType: phoneAttributeType, value: patientData.phone }];
+            } else {
+                console.warn('⚠️ No "Telephone Number" person attribute type - phone number not saved; set phoneAttributeTypeUUID to use another');
+            }
+        }
+
         const url = this._buildUrl('/ws/rest/v1/patient');
         const response = await this._fetch(url, {
             method: 'POST',
@@ -154,6 +247,141 @@ class OpenMRSConnector extends BaseConnector {
         return await response.json();
     }
 
+    async getIdentifierTypes() {
+        const url = this._buildUrl('/ws/rest/v1/patientidentifiertype');
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load identifier types: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return (data.results || []).map(type => ({ uuid: type.uuid, name: type.display }));
+    }
+
+    async getAllergies(patientUuid) {
+        const url = this._buildUrl(`/ws/rest/v1/patient/${patientUuid}/allergy?v=full`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load allergies: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const categories = { DRUG: 'medication', FOOD: 'food', ENVIRONMENT: 'environment' };
+        return (data.results || []).filter(allergy => !allergy.voided).map(allergy => ({
+            // Non-coded allergens are stored against the "Other" concept, so their text comes first
+            substance: allergy.allergen?.nonCodedAllergen || allergy.allergen?.codedAllergen?.display || 'Unknown allergen',
+            category: categories[allergy.allergen?.allergenType] || null,
+            reaction: (allergy.reactions || [])
+                .map(r => r.reactionNonCoded || r.reaction?.display)
+                .filter(Boolean)
+                .join(', '),
+            severity: allergy.severity?.display || null
+        }));
+    }
+
+    async getPatientSummary(patientUuid) {
+        const patientUrl = this._buildUrl(`/ws/rest/v1/patient/${patientUuid}?v=custom:(uuid,person:(age,gender))`);
+        const patientResponse = await this._fetch(patientUrl);
+
+        if (!patientResponse.ok) {
+            throw new Error(`Failed to load patient: ${patientResponse.statusText}`);
+        }
+        const person = (await patientResponse.json()).person || {};
+
+        // The chart is extra context: a section the server can't provide is left empty
+        const [conditions, medications, recentEncounters] = await Promise.all([
+            this._getActiveConditions(patientUuid).catch(error => {
+                console.warn('⚠️ Could not load conditions:', error.message);
+                return [];
+            }),
+            this._getActiveDrugOrders(patientUuid).catch(error => {
+                console.warn('⚠️ Could not load active medications:', error.message);
+                return [];
+            }),
+            this._getRecentEncounters(patientUuid).catch(error => {
+                console.warn('⚠️ Could not load recent encounters:', error.message);
+                return [];
+            })
+        ]);
+
+        return {
+            age: typeof person.age === 'number' ? person.age : null,
+            sex: { M: 'male', F: 'female', O: 'other' }[person.gender] || null,
+            conditions,
+            medications,
+            recentEncounters
+        };
+    }
+
+    async getPatientHistory(patientUuid, limit = 20) {
+        // OpenMRS lists encounters oldest first, so count them and fetch the last page
+        const countUrl = this._buildUrl(`/ws/rest/v1/encounter?patient=${patientUuid}&limit=1&totalCount=true&v=custom:(uuid)`);
+        const diagnosisUrl = this._buildUrl(`/ws/rest/v1/patientdiagnoses?patient=${patientUuid}&v=full`);
+        const [countResponse, diagnosisResponse] = await Promise.all([
+            this._fetch(countUrl),
+            this._fetch(diagnosisUrl)
+        ]);
+
+        if (!countResponse.ok) {
+            throw new Error(`Failed to load encounters: ${countResponse.statusText}`);
+        }
+        const total = (await countResponse.json()).totalCount || 0;
+
+        const encounterUrl = this._buildUrl(
+            `/ws/rest/v1/encounter?patient=${patientUuid}&limit=${limit}&startIndex=${Math.max(0, total - limit)}` +
+            '&v=custom:(uuid,encounterDatetime,encounterType:(display),' +
+            'location:(display),voided,obs:(concept:(uuid),value,voided,formFieldNamespace,formFieldPath))'
+        );
+        const encounterResponse = await this._fetch(encounterUrl);
+
+        if (!encounterResponse.ok) {
+            throw new Error(`Failed to load encounters: ${encounterResponse.statusText}`);
+        }
+
+        // Diagnoses come from the EMR API module; without it the timeline shows encounters and notes only
+        const diagnosesByEncounter = {};
+        if (diagnosisResponse.ok) {
+            const diagnoses = ((await diagnosisResponse.json()).results || [])
+                .filter(d => !d.voided && d.encounter?.uuid)
+                .sort((a, b) => (a.rank || 1) - (b.rank || 1));
+            for (const d of diagnoses) {
+                const name = d.diagnosis?.nonCoded || d.diagnosis?.coded?.display || d.display;
+                if (name) {
+                    (diagnosesByEncounter[d.encounter.uuid] = diagnosesByEncounter[d.encounter.uuid] || []).push(name);
+                }
+            }
+        } else {
+            console.warn('⚠️ Could not load patient diagnoses:', diagnosisResponse.statusText);
+        }
+
+        const sectionConcepts = Object.values(this.noteSectionConcepts);
+        const encounters = (await encounterResponse.json()).results || [];
+        return encounters
+            .filter(e => !e.voided)
+            .sort((a, b) => (b.encounterDatetime || '').localeCompare(a.encounterDatetime || ''))
+            .slice(0, limit)
+            .map(e => {
+                // Text obs in the notes concepts, leaving out push markers
+                const notes = (e.obs || []).filter(o =>
+                    !o.voided && typeof o.value === 'string' &&
+                    (this._isClinicalNotesObs(o) || this._isNoteSection(o) || sectionConcepts.includes(o.concept?.uuid))
+                );
+                // The full clinical note repeats the sections, so it is preferred when there is one
+                const fullNote = notes.find(o => this._isClinicalNotesObs(o));
+
+                return {
+                    uuid: e.uuid,
+                    date: e.encounterDatetime || null,
+                    type: e.encounterType?.display || null,
+                    location: e.location?.display || null,
+                    diagnoses: diagnosesByEncounter[e.uuid] || [],
+                    notes: fullNote ? fullNote.value : notes.map(o => o.value).join('\n\n') || null
+                };
+            });
+    }
+
     async getOrCreateVisit(patientUuid) {
         // Check for active visits first
         const activeVisitsUrl = this._buildUrl(
@@ -190,10 +418,24 @@ class OpenMRSConnector extends BaseConnector {
             throw new Error(`Failed to create visit: ${errorText}`);
         }
 
-        return await response.json();
+        const visit = await response.json();
+        this._recordCreated('visit', visit.uuid, `Visit (${this.visitTypeName || 'new visit'})`);
+        return visit;
     }
 
     async createEncounter(encounterData) {
+        const key = encounterData.idempotencyKey;
+
+        // A retried push of the same note reuses its encounter instead of charting it twice
+        if (key) {
+            const existing = await this._findEncounterByKey(encounterData.patientUuid, key);
+            if (existing) {
+                console.log('♻️ Reusing encounter already pushed for this note:', existing.uuid);
+                this._reusedEncounters.add(existing.uuid);
+                return { ...existing, reused: true };
+            }
+        }
+
         const payload = {
             patient: encounterData.patientUuid,
             encounterType: this.encounterTypeUUID,
@@ -202,6 +444,18 @@ class OpenMRSConnector extends BaseConnector {
             visit: encounterData.visitUuid
         };
 
+        // Stamp the encounter with the key so retries can find it; without a marker concept the clinical notes carry it
+        if (key && this.pushKeyConceptUUID) {
+            payload.obs = [{
+                concept: this.pushKeyConceptUUID,
+                value: key,
+                formFieldNamespace: this.idempotencyNamespace,
+                formFieldPath: key
+            }];
+        } else if (key && !this.clinicalNotesConceptUUID) {
+            console.warn('⚠️ No concept to store the push key in - retries of this push cannot be detected');
+        }
+
         const url = this._buildUrl('/ws/rest/v1/encounter');
         const response = await this._fetch(url, {
             method: 'POST',
@@ -212,7 +466,12 @@ class OpenMRSConnector extends BaseConnector {
             throw new Error(`Failed to create encounter: ${response.statusText}`);
         }
 
-        return await response.json();
+        const encounter = await response.json();
+        this._recordCreated('encounter', encounter.uuid, `Encounter (${this.encounterTypeName || 'Visit Note'})`);
+        if (key && !this.pushKeyConceptUUID) {
+            this._pushKeys.set(encounter.uuid, key);
+        }
+        return encounter;
     }
 
     async addClinicalNotes(encounterId, notes, patientUuid) {
@@ -231,6 +490,16 @@ class OpenMRSConnector extends BaseConnector {
             }
         }
 
+        // Notes already saved by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const existing = await this._getEncounterContent(encounterId);
+            const existingNotes = existing.obs.find(o => this._isClinicalNotesObs(o));
+            if (existingNotes) {
+                console.log('♻️ Clinical notes already on encounter, skipping');
+                return existingNotes;
+            }
+        }
+
         const payload = {
             person: patientUuid,
             encounter: encounterId,
@@ -239,6 +508,12 @@ class OpenMRSConnector extends BaseConnector {
             value: notes
         };
 
+        const key = this._pushKeys.get(encounterId);
+        if (key) {
+            payload.formFieldNamespace = this.idempotencyNamespace;
+            payload.formFieldPath = key;
+        }
+
         const url = this._buildUrl('/ws/rest/v1/obs');
         const response = await this._fetch(url, {
             method: 'POST',
@@ -246,11 +521,294 @@ class OpenMRSConnector extends BaseConnector {
         });
 
         if (!response.ok) {
-            console.warn('Failed to add clinical notes');
+            const errorText = await response.text();
+            throw new Error(`Failed to add clinical notes: ${errorText || response.statusText}`);
+        }
+
+        const obs = await response.json();
+        this._recordCreated('obs', obs.uuid, 'Clinical notes');
+        this._pushKeys.delete(encounterId);
+        return obs;
+    }
+
+    async addNoteSections(encounterId, sections, patientUuid) {
+        if (!patientUuid) {
+            const encounterUrl = this._buildUrl(`/ws/rest/v1/encounter/${encounterId}`);
+            const encounterResponse = await this._fetch(encounterUrl);
+            if (encounterResponse.ok) {
+                const encounter = await encounterResponse.json();
+                patientUuid = encounter.patient?.uuid;
+            }
+        }
+
+        // Sections already saved by an earlier attempt of this push
+        const existing = this._reusedEncounters.has(encounterId)
+            ? (await this._getEncounterContent(encounterId)).obs
+            : [];
+
+        const created = [];
+        for (const section of sections) {
+            // Tagged like the push marker, so they aren't mistaken for the clinical notes obs
+            const formFieldPath = `note-section/${section.key}`;
+            const saved = existing.find(o => o.formFieldNamespace === this.idempotencyNamespace && o.formFieldPath === formFieldPath);
+            if (saved) {
+                console.log('♻️ Note section already on encounter, skipping:', section.title);
+                created.push(saved);
+                continue;
+            }
+
+            const sectionConcept = this.noteSectionConcepts[section.key];
+            const concept = sectionConcept || this.clinicalNotesConceptUUID;
+            if (!concept) {
+                console.warn('No concept for note section, skipping:', section.title);
+                continue;
+            }
+
+            const payload = {
+                person: patientUuid,
+                encounter: encounterId,
+                obsDatetime: new Date().toISOString(),
+                concept: concept,
+                // A shared notes concept needs the section's title to tell the sections apart
+                value: sectionConcept ? section.text : `${section.title}:\n${section.text}`,
+                formFieldNamespace: this.idempotencyNamespace,
+                formFieldPath: formFieldPath
+            };
+
+            const url = this._buildUrl('/ws/rest/v1/obs');
+            const response = await this._fetch(url, {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to add ${section.title} note section: ${response.statusText}`);
+            }
+
+            const obs = await response.json();
+            this._recordCreated('obs', obs.uuid, `Note section: ${section.title}`);
+            created.push(obs);
+        }
+
+        return created;
+    }
+
+    async addVitals(encounterId, vitals, patientUuid) {
+        // The app refuses vitals with a Vitals.chartProblem() before the push starts; this only guards other callers
+        const accepted = [];
+        for (const vital of vitals) {
+            const concept = this.vitalConcepts[vital.loinc];
+            if (!concept) {
+                console.warn('No OpenMRS concept for vital sign, skipping:', vital.name);
+                continue;
+            }
+            const problem = Vitals.chartProblem(vital.loinc, vital.value, vital.unit);
+            if (problem) {
+                throw new Error(`${vital.name} ${problem}`);
+            }
+            accepted.push({ vital, concept });
+        }
+
+        if (!patientUuid) {
+            const encounterUrl = this._buildUrl(`/ws/rest/v1/encounter/${encounterId}`);
+            const encounterResponse = await this._fetch(encounterUrl);
+            if (encounterResponse.ok) {
+                const encounter = await encounterResponse.json();
+                patientUuid = encounter.patient?.uuid;
+            }
+        }
+
+        // Vitals already saved by an earlier attempt of this push
+        const existing = this._reusedEncounters.has(encounterId)
+            ? (await this._getEncounterContent(encounterId)).obs
+            : [];
+
+        const created = [];
+        for (const { vital, concept } of accepted) {
+            const saved = existing.find(o => o.concept?.uuid === concept.uuid);
+            if (saved) {
+                console.log('♻️ Vital sign already on encounter, skipping:', vital.name);
+                created.push(saved);
+                continue;
+            }
+
+            const payload = {
+                person: patientUuid,
+                encounter: encounterId,
+                obsDatetime: new Date().toISOString(),
+                concept: concept.uuid,
+                value: vital.value
+            };
+
+            const url = this._buildUrl('/ws/rest/v1/obs');
+            const response = await this._fetch(url, {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to add ${vital.name}: ${errorText}`);
+            }
+
+            const obs = await response.json();
+            this._recordCreated('obs', obs.uuid, `Vital sign: ${vital.name} ${vital.value} ${vital.unit}`);
+            created.push(obs);
+        }
+
+        return created;
+    }
+
+    async addMedicationOrder(encounterId, medication, patientUuid) {
+        if (!patientUuid) {
+            const encounterUrl = this._buildUrl(`/ws/rest/v1/encounter/${encounterId}`);
+            const encounterResponse = await this._fetch(encounterUrl);
+            if (encounterResponse.ok) {
+                const encounter = await encounterResponse.json();
+                patientUuid = encounter.patient?.uuid;
+            }
+        }
+
+        const drug = await this._findDrug(medication.name);
+        if (!drug) {
+            console.warn('⚠️ No OpenMRS drug concept for medication, skipping order (it is still in the notes):', medication.name);
             return null;
         }
 
-        return await response.json();
+        // Order already placed by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const existing = await this._getEncounterContent(encounterId);
+            const existingOrder = existing.orders.find(o => o.concept?.uuid === drug.concept);
+            if (existingOrder) {
+                console.log('♻️ Medication already ordered on encounter, skipping:', medication.name);
+                return existingOrder;
+            }
+        }
+
+        const [orderer, careSetting, orderConfig] = await Promise.all([
+            this._getOrderer(),
+            this._getCareSetting(),
+            this._loadOrderConfig()
+        ]);
+
+        const payload = {
+            type: 'drugorder',
+            action: 'NEW',
+            patient: patientUuid,
+            encounter: encounterId,
+            careSetting: careSetting,
+            orderer: orderer,
+            concept: drug.concept,
+            numRefills: 0
+        };
+        if (drug.uuid) {
+            payload.drug = drug.uuid;
+        }
+
+        // Coded dosing needs dose, unit, route and frequency all in OpenMRS's vocabulary; otherwise the instruction goes as text
+        const doseUnits = this._matchOption(orderConfig.drugDosingUnits, medication.doseUnit);
+        const route = this._matchOption(orderConfig.drugRoutes, medication.route);
+        const frequency = this._matchOption(orderConfig.orderFrequencies, medication.frequency);
+        if (medication.dose !== null && doseUnits && route && frequency) {
+            payload.dosingType = 'org.openmrs.SimpleDosingInstructions';
+            payload.dose = medication.dose;
+            payload.doseUnits = doseUnits;
+            payload.route = route;
+            payload.frequency = frequency;
+        } else {
+            payload.dosingType = 'org.openmrs.FreeTextDosingInstructions';
+            payload.dosingInstructions = medication.text;
+            if (route) payload.route = route;
+        }
+
+        const durationUnits = this._matchOption(orderConfig.durationUnits, 'days');
+        if (medication.durationDays !== null && durationUnits) {
+            payload.duration = medication.durationDays;
+            payload.durationUnits = durationUnits;
+        }
+
+        // Outpatient orders usually need an amount to dispense, counted here in dose units
+        if (medication.quantity !== null && doseUnits && (orderConfig.drugDispensingUnits || []).some(u => u.uuid === doseUnits)) {
+            payload.quantity = medication.quantity;
+            payload.quantityUnits = doseUnits;
+        }
+
+        const url = this._buildUrl('/ws/rest/v1/order');
+        const response = await this._fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to order ${medication.name}: ${errorText}`);
+        }
+
+        const order = await response.json();
+        this._recordCreated('order', order.uuid, `Medication order: ${medication.text}`);
+        return order;
+    }
+
+    async addTestOrder(encounterId, order, patientUuid) {
+        if (!patientUuid) {
+            const encounterUrl = this._buildUrl(`/ws/rest/v1/encounter/${encounterId}`);
+            const encounterResponse = await this._fetch(encounterUrl);
+            if (encounterResponse.ok) {
+                const encounter = await encounterResponse.json();
+                patientUuid = encounter.patient?.uuid;
+            }
+        }
+
+        const concept = await this._findTestConcept(order);
+        if (!concept) {
+            console.warn('⚠️ No orderable OpenMRS concept for test, skipping order (it is still in the notes):', order.name);
+            return null;
+        }
+
+        // Order already placed by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const existing = await this._getEncounterContent(encounterId);
+            const existingOrder = existing.orders.find(o => o.concept?.uuid === concept);
+            if (existingOrder) {
+                console.log('♻️ Test already ordered on encounter, skipping:', order.name);
+                return existingOrder;
+            }
+        }
+
+        const [orderer, careSetting] = await Promise.all([this._getOrderer(), this._getCareSetting()]);
+
+        const payload = {
+            type: 'testorder',
+            action: 'NEW',
+            patient: patientUuid,
+            encounter: encounterId,
+            careSetting: careSetting,
+            orderer: orderer,
+            concept: concept,
+            // OpenMRS has no "urgent"; anything faster than routine is STAT
+            urgency: order.priority === 'routine' ? 'ROUTINE' : 'STAT'
+        };
+        if (order.reason) {
+            payload.orderReasonNonCoded = order.reason;
+        }
+        if (order.type === 'imaging' && this.imagingOrderTypeUUID) {
+            payload.orderType = this.imagingOrderTypeUUID;
+        }
+
+        const url = this._buildUrl('/ws/rest/v1/order');
+        const response = await this._fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to order ${order.name}: ${errorText}`);
+        }
+
+        const created = await response.json();
+        this._recordCreated('order', created.uuid, `Test order: ${order.name}`);
+        return created;
     }
 
     async addDiagnosis(encounterId, diagnosis, patientUuid, icd10Code = null, confidence = 0.8, rank = 1) {
@@ -412,6 +970,19 @@ class OpenMRSConnector extends BaseConnector {
             }
         }
 
+        // Diagnosis already saved by an earlier attempt of this push
+        if (this._reusedEncounters.has(encounterId)) {
+            const existing = await this._getEncounterContent(encounterId);
+            const existingDiagnosis = existing.diagnoses.find(d =>
+                d.diagnosis?.coded?.uuid === diagnosisPayload.diagnosis.coded &&
+                (d.diagnosis?.nonCoded || null) === (diagnosisPayload.diagnosis.nonCoded || null)
+            );
+            if (existingDiagnosis) {
+                console.log('♻️ Diagnosis already on encounter, skipping:', diagnosis);
+                return existingDiagnosis;
+            }
+        }
+
         console.log('📝 Adding diagnosis via patientdiagnoses endpoint:', diagnosisPayload);
         const url = this._buildUrl('/ws/rest/v1/patientdiagnoses');
         const response = await this._fetch(url, {
@@ -431,9 +1002,36 @@ class OpenMRSConnector extends BaseConnector {
 
         const result = await response.json();
         console.log('✅ Diagnosis added successfully:', result.uuid);
+        this._recordCreated('patientdiagnoses', result.uuid, `Diagnosis: ${diagnosis}`);
         return result;
     }
 
+    async rollbackPush(reason = 'Aidstack push failed') {
+        const rolledBack = [];
+        const kept = [];
+
+        // Void newest first: diagnoses, obs and orders before their encounter, encounter before its visit
+        for (const entry of this.getCreatedResources().reverse()) {
+            try {
+                const url = this._buildUrl(`/ws/rest/v1/${entry.type}/${entry.uuid}?reason=${encodeURIComponent(reason)}`);
+                const response = await this._fetch(url, { method: 'DELETE' });
+
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${await response.text()}`);
+                }
+
+                console.log('↩️ Voided', entry.type, entry.uuid);
+                rolledBack.push(entry);
+            } catch (error) {
+                console.error('❌ Could not void', entry.type, entry.uuid, error);
+                kept.push({ ...entry, error: error.message });
+            }
+        }
+
+        this._pushJournal = [];
+        return { rolledBack: rolledBack.reverse(), kept: kept.reverse() };
+    }
+
     getMetadata() {
         return {
             name: this.name,
@@ -461,9 +1059,11 @@ class OpenMRSConnector extends BaseConnector {
         // Convert identifier to array of digits
         const digits = identifier.toString().split('').map(Number);
 
-        // Double every second digit from right to left
+        // Double every second digit from right to left, starting with the one
+        // the check digit will follow. Until isValidIdentifier() came along this started
+        // one digit off, so any check digit computed with the old version differs from this one
         let sum = 0;
-        let isSecond = false;
+        let isSecond = true;
 
         for (let i = digits.length - 1; i >= 0; i--) {
             let digit = digits[i];
@@ -485,6 +1085,257 @@ class OpenMRSConnector extends BaseConnector {
         return identifier + checkDigit.toString();
     }
 
+    // Find a non-voided encounter stamped with this push's idempotency key
+    async _findEncounterByKey(patientUuid, key) {
+        // Retries happen within days, so only recent encounters are searched
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const url = this._buildUrl(
+            `/ws/rest/v1/encounter?patient=${patientUuid}&encounterType=${this.encounterTypeUUID}&fromdate=${since}` +
+            '&v=custom:(uuid,display,encounterDatetime,visit:(uuid),obs:(uuid,formFieldNamespace,formFieldPath))'
+        );
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            // Creating blindly could chart the note twice, so don't guess
+            throw new Error(`Could not check for an earlier push of this note: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return (data.results || []).find(encounter =>
+            (encounter.obs || []).some(o =>
+                o.formFieldNamespace === this.idempotencyNamespace && o.formFieldPath === key
+            )
+        ) || null;
+    }
+
+    // Obs, diagnoses and orders already on an encounter
+    async _getEncounterContent(encounterId) {
+        const url = this._buildUrl(
+            `/ws/rest/v1/encounter/${encounterId}?v=custom:(uuid,obs:(uuid,concept:(uuid),value,formFieldNamespace,formFieldPath),` +
+            'diagnoses:(uuid,diagnosis,voided),orders:(uuid,concept:(uuid),voided))'
+        );
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Could not load encounter ${encounterId}: ${response.statusText}`);
+        }
+
+        const encounter = await response.json();
+        return {
+            obs: encounter.obs || [],
+            diagnoses: (encounter.diagnoses || []).filter(d => !d.voided),
+            orders: (encounter.orders || []).filter(o => !o.voided)
+        };
+    }
+
+    // A note section saved by addNoteSections()
+    _isNoteSection(obs) {
+        return obs.formFieldNamespace === this.idempotencyNamespace && !!obs.formFieldPath?.startsWith('note-section/');
+    }
+
+    // The clinical notes obs - not a note section sharing its concept, nor an older version's "Aidstack push <key>" marker
+    _isClinicalNotesObs(obs) {
+        if (obs.concept?.uuid !== this.clinicalNotesConceptUUID) return false;
+        if (obs.formFieldNamespace !== this.idempotencyNamespace) return true;
+        return !this._isNoteSection(obs) && obs.value !== `Aidstack push ${obs.formFieldPath}`;
+    }
+
+    // Address fields OpenMRS stores, or null when none were given
+    _toAddress(address) {
+        const fields = ['address1', 'address2', 'cityVillage', 'stateProvince', 'country', 'postalCode'];
+        const filled = fields.filter(field => typeof address?.[field] === 'string' && address[field].trim());
+        return filled.length > 0
+            ? Object.fromEntries(filled.map(field => [field, address[field].trim()]))
+            : null;
+    }
+
+    // The person attribute type phone numbers are stored in: configured, or found by name
+    async _getPhoneAttributeType() {
+        if (this.phoneAttributeTypeUUID) {
+            return this.phoneAttributeTypeUUID;
+        }
+
+        // Only the reference application's exact name: a looser match could store the number as e.g. "Mother's phone"
+        const url = this._buildUrl('/ws/rest/v1/personattributetype?v=custom:(uuid,name)');
+        const response = await this._fetch(url);
+        if (!response.ok) return null;
+
+        const types = (await response.json()).results || [];
+        const match = types.find(t => t.name === 'Telephone Number');
+        this.phoneAttributeTypeUUID = match?.uuid || null;
+        return this.phoneAttributeTypeUUID;
+    }
+
+    // Active and recurring conditions on the patient's problem list
+    async _getActiveConditions(patientUuid) {
+        const url = this._buildUrl(`/ws/rest/v1/condition?patientUuid=${patientUuid}&v=full`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        const data = await response.json();
+        return (data.results || [])
+            .filter(c => !c.voided && (!c.clinicalStatus || ['ACTIVE', 'RECURRENCE', 'RELAPSE'].includes(c.clinicalStatus)))
+            .map(c => ({
+                name: c.condition?.nonCoded || c.condition?.coded?.display || 'Unknown condition',
+                icd10: (c.condition?.coded?.mappings || [])
+                    .map(m => m.display || '')
+                    .find(display => /^ICD-10/i.test(display))
+                    ?.replace(/^[^:]+:\s*/, '') || null,
+                onsetDate: c.onsetDate ? c.onsetDate.slice(0, 10) : null
+            }));
+    }
+
+    // Drug orders that haven't been stopped or expired
+    async _getActiveDrugOrders(patientUuid) {
+        const url = this._buildUrl(`/ws/rest/v1/order?patient=${patientUuid}&t=drugorder&v=full`);
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        const data = await response.json();
+        return (data.results || [])
+            .filter(order => !order.voided && !order.dateStopped && order.action !== 'DISCONTINUE')
+            .map(order => ({
+                name: order.drug?.display || order.concept?.display || 'Unknown medication',
+                dosage: order.dosingInstructions ||
+                    [order.dose, order.doseUnits?.display, order.route?.display, order.frequency?.display]
+                        .filter(part => part !== null && part !== undefined && part !== '')
+                        .join(' ') ||
+                    null
+            }));
+    }
+
+    // The last few encounters of the past year, newest first
+    async _getRecentEncounters(patientUuid, limit = 5) {
+        const since = new Date();
+        since.setFullYear(since.getFullYear() - 1);
+
+        const url = this._buildUrl(
+            `/ws/rest/v1/encounter?patient=${patientUuid}&fromdate=${since.toISOString().slice(0, 10)}` +
+            '&v=custom:(uuid,encounterDatetime,encounterType:(display),voided,diagnoses:(display,voided))'
+        );
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        const data = await response.json();
+        return (data.results || [])
+            .filter(e => !e.voided)
+            .sort((a, b) => (b.encounterDatetime || '').localeCompare(a.encounterDatetime || ''))
+            .slice(0, limit)
+            .map(e => ({
+                date: e.encounterDatetime ? e.encounterDatetime.slice(0, 10) : null,
+                type: e.encounterType?.display || null,
+                diagnoses: (e.diagnoses || []).filter(d => !d.voided && d.display).map(d => d.display)
+            }));
+    }
+
+    // A formulary drug pins the product, so it is only used when the name matches exactly one; else the drug concept
+    // with exactly that name - a near match could order the wrong drug
+    async _findDrug(name) {
+        const drugUrl = this._buildUrl(`/ws/rest/v1/drug?q=${encodeURIComponent(name)}&v=custom:(uuid,display,concept:(uuid))`);
+        const drugResponse = await this._fetch(drugUrl);
+        if (drugResponse.ok) {
+            const drugs = (await drugResponse.json()).results || [];
+            if (drugs.length === 1 && drugs[0].concept?.uuid) {
+                return { uuid: drugs[0].uuid, concept: drugs[0].concept.uuid };
+            }
+        }
+
+        const conceptUrl = this._buildUrl(`/ws/rest/v1/concept?q=${encodeURIComponent(name)}&v=custom:(uuid,display,conceptClass:(display))`);
+        const conceptResponse = await this._fetch(conceptUrl);
+        if (!conceptResponse.ok) return null;
+
+        const concepts = ((await conceptResponse.json()).results || []).filter(c => c.conceptClass?.display === 'Drug');
+        const match = concepts.find(c => c.display.toLowerCase() === name.toLowerCase());
+        return match ? { uuid: null, concept: match.uuid } : null;
+    }
+
+    // A LOINC mapping pins the test; otherwise a test or imaging concept with the same name
+    async _findTestConcept(order) {
+        if (order.code) {
+            const mappedUrl = this._buildUrl(`/ws/rest/v1/concept?source=LOINC&code=${encodeURIComponent(order.code)}`);
+            const mappedResponse = await this._fetch(mappedUrl);
+            if (mappedResponse.ok) {
+                const mapped = (await mappedResponse.json()).results || [];
+                if (mapped.length > 0) return mapped[0].uuid;
+            }
+        }
+
+        const orderableClasses = order.type === 'imaging'
+            ? ['Radiology/Imaging Procedure', 'Procedure']
+            : ['Test', 'LabSet'];
+        const conceptUrl = this._buildUrl(`/ws/rest/v1/concept?q=${encodeURIComponent(order.name)}&v=custom:(uuid,display,conceptClass:(display))`);
+        const conceptResponse = await this._fetch(conceptUrl);
+        if (!conceptResponse.ok) return null;
+
+        const concepts = ((await conceptResponse.json()).results || []).filter(c => orderableClasses.includes(c.conceptClass?.display));
+        const match = concepts.find(c => c.display.toLowerCase() === order.name.toLowerCase());
+        return match?.uuid || null;
+    }
+
+    // The provider account of the user we connect as - OpenMRS needs an orderer
+    async _getOrderer() {
+        if (!this.providerUUID) {
+            const url = this._buildUrl('/ws/rest/v1/session?v=custom:(currentProvider:(uuid))');
+            const response = await this._fetch(url);
+            if (response.ok) {
+                this.providerUUID = (await response.json()).currentProvider?.uuid || null;
+            }
+        }
+        if (!this.providerUUID) {
+            throw new Error(`OpenMRS user ${this.username} has no provider account, which ordering medications needs`);
+        }
+        return this.providerUUID;
+    }
+
+    async _getCareSetting() {
+        if (!this.careSettingUUID) {
+            const url = this._buildUrl('/ws/rest/v1/caresetting');
+            const response = await this._fetch(url);
+            if (response.ok) {
+                const settings = (await response.json()).results || [];
+                const outpatient = settings.find(c => c.careSettingType === 'OUTPATIENT') || settings[0];
+                this.careSettingUUID = outpatient?.uuid || null;
+            }
+        }
+        if (!this.careSettingUUID) {
+            throw new Error('No OpenMRS care setting found for medication orders');
+        }
+        return this.careSettingUUID;
+    }
+
+    // Routes, dosing units, frequencies and duration units orders may use
+    async _loadOrderConfig() {
+        if (this._orderConfig) return this._orderConfig;
+
+        const url = this._buildUrl('/ws/rest/v1/orderentryconfig');
+        const response = await this._fetch(url);
+        if (!response.ok) {
+            // Orders still go through, with the dosing as text
+            console.warn('⚠️ Could not load OpenMRS order entry config:', response.statusText);
+            return {};
+        }
+
+        this._orderConfig = await response.json();
+        return this._orderConfig;
+    }
+
+    // Find an order entry option by name, trying OpenMRS's wording for it too
+    _matchOption(options, value) {
+        if (!value) return null;
+        const key = value.trim().toLowerCase();
+        const names = [key, ...(this.dosingNames[key] || [])];
+        return (options || []).find(o => names.includes((o.display || '').toLowerCase()))?.uuid || null;
+    }
+
     _buildUrl(path) {
         if (this.useProxy) {
             return `${this.proxyPath}${path}`;
@@ -576,6 +1427,35 @@ class OpenMRSConnector extends BaseConnector {
         }
     }
 
+    // Identifier types with their format and whether their validator is the (numeric) Luhn one
+    async _loadIdentifierTypes() {
+        const url = this._buildUrl('/ws/rest/v1/patientidentifiertype?v=custom:(uuid,display,format,validator)');
+        const response = await this._fetch(url);
+
+        if (!response.ok) {
+            console.warn('⚠️ Could not load identifier types - scanned identifiers are not check-digit validated');
+            return;
+        }
+
+        const data = await response.json();
+        this.identifierTypes = (data.results || []).map(type => ({
+            uuid: type.uuid,
+            name: type.display,
+            format: type.format || null,
+            luhn: type.validator === 'org.openmrs.patient.impl.LuhnIdentifierValidator'
+        }));
+    }
+
+    // An identifier type's format is a regular expression for the whole identifier; none (or a broken one) fits anything
+    _matchesFormat(value, format) {
+        if (!format) return true;
+        try {
+            return new RegExp(`^(?:${format})$`).test(value);
+        } catch (e) {
+            return true;
+        }
+    }
+
     async _loadConcepts() {
         // Check if clinical notes concept UUID is provided in config
         if (this.clinicalNotesConceptUUID) {
@@ -0,0 +1,84 @@
+/**
+ * Anthropic LLM Provider
+ * Claude models via the Messages API
+ */
+
+const BaseProvider = require('./base-provider');
+
+class AnthropicProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'Anthropic';
+        this.baseUrl = (this.config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+        this.apiKey = this.config.apiKey || null;
+        this.model = this.config.model || 'claude-3-5-sonnet-latest';
+        this.apiVersion = this.config.apiVersion || '2023-06-01';
+    }
+
+    async complete({ messages, temperature = 0.3, maxTokens = 2000, signal = null }) {
+        const data = await this._postJson(`${this.baseUrl}/messages`, this._headers(),
+            this._buildBody(messages, temperature, maxTokens), signal);
+
+        const content = (data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        if (!content) {
+            throw new Error(`Invalid response from ${this.name}: no completion text`);
+        }
+
+        return {
+            content,
+            model: data.model || this.model,
+            usage: data.usage || null
+        };
+    }
+
+    async stream({ messages, temperature = 0.3, maxTokens = 2000, signal = null }, onDelta) {
+        let content = '';
+        let model = this.model;
+
+        await this._postStream(`${this.baseUrl}/messages`, this._headers(), {
+            ...this._buildBody(messages, temperature, maxTokens),
+            stream: true
+        }, event => {
+            if (event.type === 'message_start') {
+                model = event.message?.model || model;
+            } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                content += event.delta.text;
+                onDelta(event.delta.text);
+            } else if (event.type === 'error') {
+                throw new Error(`${this.name} stream error: ${event.error?.message || 'unknown error'}`);
+            }
+        }, signal);
+
+        return { content, model, usage: null };
+    }
+
+    _buildBody(messages, temperature, maxTokens) {
+        // The Messages API takes system prompts separately from the conversation
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const conversation = messages.filter(m => m.role !== 'system');
+
+        const body = {
+            model: this.model,
+            messages: conversation,
+            temperature,
+            max_tokens: maxTokens
+        };
+        if (system) {
+            body.system = system;
+        }
+        return body;
+    }
+
+    _headers() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,33 @@
+/**
+ * Azure OpenAI LLM Provider
+ * Chat completions via an Azure OpenAI resource deployment
+ */
+
+const OpenAIProvider = require('./openai-provider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'Azure OpenAI';
+        this.endpoint = (this.config.endpoint || '').replace(/\/+$/, '');
+        this.deployment = this.config.deployment || this.config.model;
+        this.apiVersion = this.config.apiVersion || '2024-06-01';
+        // Azure routes by deployment; the model name is informational
+        this.model = this.config.model || this.deployment;
+
+        if (!this.endpoint || !this.deployment) {
+            throw new Error('Azure OpenAI requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+        }
+    }
+
+    _completionsUrl() {
+        return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions` +
+            `?api-version=${encodeURIComponent(this.apiVersion)}`;
+    }
+
+    _authHeaders() {
+        return { 'api-key': this.apiKey };
+    }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,137 @@
+/**
+ * Base LLM Provider Interface
+ * All LLM providers must implement this interface
+ */
+
+class BaseProvider {
+    constructor(config) {
+        this.config = config || {};
+        this.name = 'Base';
+        this.model = this.config.model || null;
+        this.timeoutMs = this.config.timeoutMs || 120000;
+    }
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { messages: [{ role, content }], temperature, maxTokens, signal } -
+     *   signal is an optional AbortSignal that cancels the upstream request
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete(request) {
+        throw new Error('complete() must be implemented by provider');
+    }
+
+    /**
+     * Run a chat completion, reporting text as it is generated.
+     * Providers without streaming fall back to one delta with the whole reply.
+     * @param {Object} request - Same as complete()
+     * @param {Function} onDelta - Called with each new chunk of text
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async stream(request, onDelta) {
+        const result = await this.complete(request);
+        onDelta(result.content);
+        return result;
+    }
+
+    /**
+     * Get provider display info (never includes secrets)
+     * @returns {Object} { provider, model }
+     */
+    getInfo() {
+        return {
+            provider: this.name,
+            model: this.model
+        };
+    }
+
+    // POST JSON to the upstream API, surfacing its error message on failure
+    async _postJson(url, headers, body, signal = null) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: this._signal(signal)
+        });
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (e) {
+            // Not JSON - keep the raw text for the error message
+        }
+
+        if (!response.ok) {
+            const message = data?.error?.message || data?.error || text || response.statusText;
+            const error = new Error(`${this.name} API error (${response.status}): ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    // POST JSON and read a server-sent event stream, calling onEvent with each parsed data payload
+    async _postStream(url, headers, body, onEvent, signal = null) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...headers },
+            body: JSON.stringify(body),
+            signal: this._signal(signal)
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            let message = text || response.statusText;
+            try {
+                const data = JSON.parse(text);
+                message = data?.error?.message || data?.error || message;
+            } catch (e) {
+                // Not JSON - keep the raw text
+            }
+            const error = new Error(`${this.name} API error (${response.status}): ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+                const data = rawEvent
+                    .split(/\r?\n/)
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trimStart())
+                    .join('\n');
+
+                if (!data || data === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (e) {
+                    console.warn(`${this.name}: skipping unreadable stream event`);
+                    continue;
+                }
+                onEvent(event);
+            }
+        }
+    }
+
+    // The request timeout, combined with the caller's signal when there is one
+    _signal(signal) {
+        const timeout = AbortSignal.timeout(this.timeoutMs);
+        return signal ? AbortSignal.any([signal, timeout]) : timeout;
+    }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,396 @@
+/**
+ * Clinical Extraction
+ * Owns the extraction prompt and validates what the model returns,
+ * so the browser only ever sends a transcription
+ */
+
+const ExtractionValidator = require('../src/js/extraction-validator');
+const Transcript = require('../src/js/transcript');
+const Languages = require('../src/js/languages');
+const Vitals = require('../src/js/vitals');
+const Medications = require('../src/js/medications');
+const AllergyCheck = require('../src/js/allergy-check');
+const TestOrders = require('../src/js/test-orders');
+
+const MAX_TRANSCRIPTION_LENGTH = 50000;
+const MAX_SEGMENTS = 2000;
+const MAX_CHART_ITEMS = 50;          // Per list in the patient's chart summary
+const MAX_CHART_TEXT = 200;
+const NOTE_TEMPLATES = loadNoteTemplates();
+
+const EXTRACTION_INSTRUCTIONS = `You are a clinical AI assistant. Extract FHIR-compliant medical data from this transcription with confidence scores, differential diagnosis, and ICD-10 codes.
+
+Return ONLY a JSON object (no markdown, no explanations) with this structure:
+{
+  "resourceType": "Bundle",
+  "entry": [
+    {
+      "resource": {
+        "resourceType": "Condition",
+        "clinicalStatus": {"text": "active"},
+        "category": [{"text": "diagnosis"}],
+        "code": {
+          "text": "diagnosis name",
+          "coding": [{"system": "ICD-10", "code": "A00.0", "display": "ICD-10 description"}]
+        },
+        "meta": {
+          "confidence": 0.95,
+          "evidence": "short quote from the transcription"
+        }
+      }
+    }
+  ],
+  "meta": {
+    "differentialDiagnosis": [
+      {
+        "condition": "Alternative diagnosis 1",
+        "icd10": "B00.0",
+        "probability": 0.85,
+        "reasoning": "Why this is likely"
+      },
+      {
+        "condition": "Alternative diagnosis 2",
+        "icd10": "C00.0",
+        "probability": 0.60,
+        "reasoning": "Why this is possible"
+      }
+    ],
+    "clinicalDecisionSupport": [
+      {
+        "type": "recommendation",
+        "message": "Consider ordering chest X-ray based on symptoms",
+        "priority": "medium"
+      }
+    ],
+    "qualityScore": {
+      "completeness": 0.85,
+      "documentation": "Good - includes HPI, symptoms, and diagnosis",
+      "missingElements": ["Physical exam findings", "Treatment plan"]
+    }
+  }
+}
+
+IMPORTANT DISTINCTIONS:
+- SYMPTOMS (use Observation with "category": [{"text": "symptom"}] and "code": {"text": "..."}): headache, fever, diarrhea, nausea, cough, pain, fatigue, etc.
+- DIAGNOSES (use Condition): pneumonia, diabetes, hypertension, migraine disorder, etc.
+- Confidence: 0-1 scale where 1.0 = certain, 0.5 = moderate confidence, <0.3 = uncertain
+- ICD-10 codes: MUST be complete and specific (e.g., "E11.9" not "E11", "I10" not "I1"). Use the most specific code available based on the clinical information. Include all subcategory digits.
+- Evidence: quote the transcription's own words (one short phrase, not a paraphrase) so reviewers can find it in the recording
+- Differential: Top 2-3 alternative diagnoses with reasoning
+- PROCEDURES (use Procedure with "code": {"text": "..."})
+- Clinical Decision Support: Practical recommendations based on clinical guidelines; priority is "high", "medium" or "low"`;
+
+// Codes and units come from the shared Vitals table, which the review panel and the push also use
+const VITALS_INSTRUCTIONS = `VITAL SIGNS:
+- Use Observation with "category": [{"text": "vital-signs"}], "code": {"text": "name", "coding": [{"system": "http://loinc.org", "code": "LOINC code"}]} and "valueQuantity": {"value": 120, "unit": "unit"}
+- Only values actually stated; a blood pressure such as "120 over 80" is two Observations, systolic and diastolic
+- Use these codes and units, converting if dictated otherwise (e.g. Fahrenheit to Celsius, pounds to kg):
+${Object.entries(Vitals.TYPES).map(([loinc, type]) => `  - ${type.name}: ${loinc}, ${type.unit}`).join('\n')}`;
+
+// Routes and frequencies come from the shared Medications table, which the review panel and the push also use
+const MEDICATION_INSTRUCTIONS = `MEDICATIONS:
+- Use MedicationStatement for medicines the patient already takes and MedicationRequest (with "intent": "order") for medicines prescribed or started in this encounter
+- Both have "medicationCodeableConcept": {"text": "generic drug name"} and, with whatever dosage was said, "meta": {"dosage": {"dose": 500, "doseUnit": "mg", "route": "oral", "frequency": "three times daily", "durationDays": 7}}
+- Leave out dosage fields that were not said; dose and durationDays are numbers
+- route is one of: ${Medications.ROUTES.join(', ')}
+- frequency is one of: ${Object.keys(Medications.FREQUENCIES).join(', ')}`;
+
+// Categories come from the shared AllergyCheck, which checks prescriptions against these allergies
+const ALLERGY_INSTRUCTIONS = `ALLERGIES:
+- Use AllergyIntolerance for each allergy or intolerance mentioned: {"resourceType": "AllergyIntolerance", "type": "allergy", "category": ["medication"], "code": {"text": "Penicillin"}, "reaction": [{"manifestation": [{"text": "rash"}]}]}
+- type is "allergy" or "intolerance" (e.g. a drug that upsets the stomach); category is one of: ${AllergyCheck.CATEGORIES.join(', ')}
+- Add "criticality": "high" only for severe reactions such as anaphylaxis; leave out reaction when none was said
+- "No known allergies" is not an AllergyIntolerance - it belongs in the note`;
+
+// Order types and priorities come from the shared TestOrders, which the review panel and the push also use
+const ORDER_INSTRUCTIONS = `ORDERS:
+- When a clinical decision support recommendation is to order a lab test or imaging, add "order" to it: {"type": "imaging", "name": "Chest X-ray", "code": "36643-5", "priority": "routine", "reason": "Productive cough and fever"}
+- type is one of: ${Object.keys(TestOrders.TYPES).join(', ')}; priority is one of: ${TestOrders.PRIORITIES.join(', ')}
+- code is the LOINC code for the test; use "" unless you are sure of it
+- One order per test; recommendations that are not a test (advice, referrals, treatment) have no order`;
+
+// Added when the transcription is split into speaker turns
+const SPEAKER_INSTRUCTIONS = `SPEAKERS:
+- Each line of the transcription starts with who is speaking: "Clinician:" or "Patient:"
+- Add "source" to the meta of every resource: "patient" for what the patient reports (symptoms, history, medications they take) and "clinician" for the clinician's own findings, assessment and plan
+- A diagnosis the patient mentions (e.g. "I have diabetes") is history, not the clinician's assessment - only use a high confidence for diagnoses the clinician states or clearly supports`;
+
+// Specialty note templates; config/note-templates.json is also what the browser offers
+function loadNoteTemplates() {
+    try {
+        return require('../config/note-templates.json');
+    } catch (e) {
+        return { default: null, templates: {} };
+    }
+}
+
+// The structured note to write alongside the extraction, in the template's sections
+function buildNoteInstructions(templateKey) {
+    const key = NOTE_TEMPLATES.templates[templateKey] ? templateKey : NOTE_TEMPLATES.default;
+    const template = NOTE_TEMPLATES.templates[key];
+    if (!template) return null;
+
+    return `CLINICAL NOTE (${template.name}):
+- Also add "note" to the Bundle's meta: {"template": "${key}", "sections": {${template.sections.map(section => `"${section.key}": "..."`).join(', ')}}}
+- Write each section as concise clinical prose using only what the transcription says; use "" for a section nothing was said about
+${template.sections.map(section => `- "${section.key}" (${section.title}): ${section.guidance}`).join('\n')}
+- Lines such as "Assessment:" in the transcription are section headings the clinician dictated - put what follows them in that section`;
+}
+
+// Added when the connector could summarise the patient's chart (options.patientContext)
+function buildPatientContextInstructions(context) {
+    const conditions = context.conditions.map(c => c.icd10 ? `${c.name} (${c.icd10})` : c.name);
+    const medications = context.medications.map(m => m.dosage ? `${m.name} ${m.dosage}` : m.name);
+    const encounters = context.recentEncounters.map(e =>
+        `${e.date || 'undated'} ${e.type || 'encounter'}${e.diagnoses.length ? ` (${e.diagnoses.join(', ')})` : ''}`
+    );
+    const demographics = [context.age !== null ? `${context.age} years old` : null, context.sex].filter(Boolean);
+
+    return `PATIENT CHART (from the EHR, before this encounter):
+${demographics.length ? `- Patient: ${demographics.join(', ')}\n` : ''}- Active problems: ${conditions.join('; ') || 'none recorded'}
+- Active medications: ${medications.join('; ') || 'none recorded'}
+${encounters.length ? `- Recent encounters: ${encounters.join('; ')}\n` : ''}- Use the chart to interpret the transcription (age-appropriate differentials, known conditions, drug interactions), but extract only what this encounter documents
+- Add "diagnosisStatus" to every Condition's meta: "existing" for a problem already on the chart or described as diagnosed before, "new" for one diagnosed in this encounter`;
+}
+
+// Added for transcriptions that are not in English
+function buildLanguageInstructions(language, normalizeToEnglish) {
+    const name = Languages.get(language).name;
+    const target = normalizeToEnglish ? `English, translating from ${name}` : name;
+
+    return `LANGUAGE:
+- The transcription is in ${name}
+- Write every free-text value (code.text, condition, reasoning, message, documentation, missingElements) in ${target}
+- Evidence quotes stay in ${name}, word for word as in the transcription
+- Note sections are written in ${name}, like the rest of the clinical note
+- Keep JSON keys, resourceType values, the category texts "symptom", "diagnosis" and "vital-signs", units, medication routes and frequencies, allergy types and categories, order types, priorities and "source" values in English exactly as shown
+- ICD-10 codes do not depend on language; code as you would for an English note`;
+}
+
+/**
+ * Build the chat messages for an extraction
+ * @param {string} transcription - Clinician/patient transcription
+ * @param {Object} options - Extraction options - { language, normalizeToEnglish, noteTemplate, patientContext }; language is an ISO 639-1 code
+ * @param {Array<Object>} segments - Optional speaker-labelled segments; used instead of the plain transcription
+ * @returns {Array<Object>} Chat messages
+ */
+function buildExtractionMessages(transcription, options = {}, segments = null) {
+    const instructions = [EXTRACTION_INSTRUCTIONS, VITALS_INSTRUCTIONS, MEDICATION_INSTRUCTIONS, ALLERGY_INSTRUCTIONS, ORDER_INSTRUCTIONS];
+    const labeled = segments && Transcript.hasSpeakers(segments);
+
+    if (labeled) {
+        instructions.push(SPEAKER_INSTRUCTIONS);
+    }
+    const noteInstructions = buildNoteInstructions(options.noteTemplate);
+    if (noteInstructions) {
+        instructions.push(noteInstructions);
+    }
+    if (options.patientContext) {
+        instructions.push(buildPatientContextInstructions(options.patientContext));
+    }
+    if (options.language && options.language !== Languages.DEFAULT) {
+        instructions.push(buildLanguageInstructions(options.language, !!options.normalizeToEnglish));
+    }
+
+    return [
+        { role: 'system', content: instructions.join('\n\n') },
+        {
+            role: 'user',
+            content: labeled ? `Transcription:\n${Transcript.toLabeledText(segments)}` : `Transcription: ${transcription}`
+        }
+    ];
+}
+
+/**
+ * Check an /api/extract request body; only a transcription, optional
+ * speaker segments ({ speaker, text, start, end }) and options are accepted.
+ * options.patientContext is the connector's getPatientSummary() result, trimmed to what the prompt uses
+ * @param {Object} request - Request body
+ * @returns {Object} { transcription, segments, options }
+ */
+function parseExtractionRequest(request) {
+    const transcription = request?.transcription;
+    const options = request?.options ?? {};
+    const segments = request?.segments ?? null;
+
+    if (typeof transcription !== 'string' || !transcription.trim()) {
+        throw badRequest('"transcription" must be a non-empty string');
+    }
+    if (transcription.length > MAX_TRANSCRIPTION_LENGTH) {
+        throw badRequest(`"transcription" is longer than ${MAX_TRANSCRIPTION_LENGTH} characters`);
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw badRequest('"options" must be an object');
+    }
+    if (options.language !== undefined && !Languages.isSupported(options.language)) {
+        throw badRequest(`"options.language" must be one of: ${Object.keys(Languages.SUPPORTED).join(', ')}`);
+    }
+    if (options.noteTemplate !== undefined && !NOTE_TEMPLATES.templates[options.noteTemplate]) {
+        throw badRequest(`"options.noteTemplate" must be one of: ${Object.keys(NOTE_TEMPLATES.templates).join(', ')}`);
+    }
+
+    return {
+        transcription: transcription.trim(),
+        segments: parseSegments(segments),
+        options: { ...options, patientContext: parsePatientContext(options.patientContext) }
+    };
+}
+
+function parsePatientContext(context) {
+    if (context === undefined || context === null) return null;
+    if (typeof context !== 'object' || Array.isArray(context)) {
+        throw badRequest('"options.patientContext" must be an object');
+    }
+
+    // A long chart is cut to its first MAX_CHART_ITEMS per list rather than refused - the prompt only needs a summary
+    const list = (value, path) => {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value)) {
+            throw badRequest(`"${path}" must be an array`);
+        }
+        if (value.length > MAX_CHART_ITEMS) {
+            console.log(`✂️ ${path}: using ${MAX_CHART_ITEMS} of ${value.length} items`);
+        }
+        return value.slice(0, MAX_CHART_ITEMS);
+    };
+    const text = (value, path, optional = false) => {
+        if ((value === undefined || value === null || value === '') && optional) return null;
+        if (typeof value !== 'string' || !value.trim()) {
+            throw badRequest(`"${path}" must be a non-empty string`);
+        }
+        return value.trim().slice(0, MAX_CHART_TEXT);
+    };
+
+    const path = 'options.patientContext';
+    const age = context.age ?? null;
+    if (age !== null && !(typeof age === 'number' && age >= 0 && age <= 150)) {
+        throw badRequest(`"${path}.age" must be a number of years`);
+    }
+
+    return {
+        age: age === null ? null : Math.floor(age),
+        sex: text(context.sex, `${path}.sex`, true),
+        conditions: list(context.conditions, `${path}.conditions`).map((c, i) => ({
+            name: text(c?.name, `${path}.conditions[${i}].name`),
+            icd10: text(c?.icd10, `${path}.conditions[${i}].icd10`, true)
+        })),
+        medications: list(context.medications, `${path}.medications`).map((m, i) => ({
+            name: text(m?.name, `${path}.medications[${i}].name`),
+            dosage: text(m?.dosage, `${path}.medications[${i}].dosage`, true)
+        })),
+        recentEncounters: list(context.recentEncounters, `${path}.recentEncounters`).map((e, i) => ({
+            date: text(e?.date, `${path}.recentEncounters[${i}].date`, true),
+            type: text(e?.type, `${path}.recentEncounters[${i}].type`, true),
+            diagnoses: list(e?.diagnoses, `${path}.recentEncounters[${i}].diagnoses`)
+                .map((d, j) => text(d, `${path}.recentEncounters[${i}].diagnoses[${j}]`))
+        }))
+    };
+}
+
+function parseSegments(segments) {
+    if (segments === null) return null;
+
+    if (!Array.isArray(segments) || segments.length > MAX_SEGMENTS) {
+        throw badRequest(`"segments" must be an array of at most ${MAX_SEGMENTS} segments`);
+    }
+
+    const parsed = segments.map((segment, i) => {
+        if (typeof segment?.text !== 'string') {
+            throw badRequest(`"segments[${i}].text" must be a string`);
+        }
+        const speaker = segment.speaker ?? null;
+        if (speaker !== null && !Transcript.SPEAKERS[speaker]) {
+            throw badRequest(`"segments[${i}].speaker" must be one of: ${Object.keys(Transcript.SPEAKERS).join(', ')}`);
+        }
+        // Only what the prompt needs; timestamps stay in the browser. Paragraphs keep dictated sections apart
+        return { speaker, text: segment.text.trim(), paragraph: segment.paragraph === true };
+    }).filter(segment => segment.text);
+
+    if (Transcript.toLabeledText(parsed).length > MAX_TRANSCRIPTION_LENGTH) {
+        throw badRequest(`"segments" are longer than ${MAX_TRANSCRIPTION_LENGTH} characters`);
+    }
+
+    return parsed;
+}
+
+/**
+ * Run an extraction and return the validated Bundle. Output is repaired where
+ * possible; if it still fails the schema the model is asked once more, with the errors.
+ * @param {BaseProvider} provider - LLM provider
+ * @param {string} transcription - Clinician/patient transcription
+ * @param {Object} options - Extraction options
+ * @param {Object} settings - { temperature, maxTokens, signal } - signal optionally aborts the model calls
+ * @param {Function} onDelta - Optional; streams the first attempt's text as it is generated
+ * @param {Array<Object>} segments - Optional speaker-labelled segments
+ * @returns {Promise<Object>} { bundle, model, usage, repairs, attempts }
+ */
+async function runExtraction(provider, transcription, options, settings, onDelta = null, segments = null) {
+    const messages = buildExtractionMessages(transcription, options, segments);
+
+    let result = onDelta
+        ? await provider.stream({ messages, ...settings }, onDelta)
+        : await provider.complete({ messages, ...settings });
+    let checked = checkOutput(result.content);
+    let attempts = 1;
+
+    if (!checked.valid) {
+        console.warn('⚠️ Extraction failed validation, asking the model to correct it:', checked.errors);
+        result = await provider.complete({
+            messages: [
+                ...messages,
+                { role: 'assistant', content: result.content },
+                { role: 'user', content: buildCorrectionPrompt(checked.errors) }
+            ],
+            ...settings
+        });
+        checked = checkOutput(result.content);
+        attempts++;
+
+        if (!checked.valid) {
+            throw invalidOutput('AI returned an extraction that does not match the schema', checked.errors);
+        }
+    }
+
+    if (checked.repairs.length > 0) {
+        console.log('🔧 Repaired extraction:', checked.repairs);
+    }
+
+    return {
+        bundle: checked.bundle,
+        model: result.model,
+        usage: result.usage,
+        repairs: checked.repairs,
+        attempts
+    };
+}
+
+// Parse, repair and validate one completion; unparseable text counts as a validation error
+function checkOutput(content) {
+    try {
+        return ExtractionValidator.parseAndValidate(content, { fromModel: true });
+    } catch (e) {
+        return { bundle: null, valid: false, errors: [e.message], repairs: [] };
+    }
+}
+
+function buildCorrectionPrompt(errors) {
+    return 'Your previous response could not be used. Problems found:\n' +
+        errors.slice(0, 20).map(error => `- ${error}`).join('\n') +
+        '\n\nReturn ONLY the corrected JSON object with the same structure (no markdown, no explanations).';
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// The model answered, but not with something we can show - a bad gateway, not our bug
+function invalidOutput(message, details) {
+    const error = new Error(message);
+    error.status = 502;
+    error.details = details;
+    return error;
+}
+
+module.exports = { buildExtractionMessages, parseExtractionRequest, runExtraction };
@@ -0,0 +1,193 @@
+/**
+ * LLM Provider Registry
+ * Picks the provider from the environment (LLM_PROVIDER) or config/llm.json.
+ * Secrets only ever come from the environment - config/llm.json is served publicly.
+ */
+
+const OpenAIProvider = require('./openai-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const AzureOpenAIProvider = require('./azure-openai-provider');
+const LocalProvider = require('./local-provider');
+const { parseExtractionRequest, runExtraction } = require('./extraction');
+
+const PROVIDERS = {
+    'openai': OpenAIProvider,
+    'anthropic': AnthropicProvider,
+    'azure-openai': AzureOpenAIProvider,
+    'local': LocalProvider
+};
+
+// Provider settings read from the environment; undefined values fall back to config/defaults
+const ENV_SETTINGS = {
+    'openai': env => ({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL
+    }),
+    'anthropic': env => ({
+        apiKey: env.ANTHROPIC_API_KEY
+    }),
+    'azure-openai': env => ({
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        deployment: env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION
+    }),
+    'local': env => ({
+        apiKey: env.LOCAL_LLM_API_KEY,
+        baseUrl: env.LOCAL_LLM_BASE_URL
+    })
+};
+
+let cachedProvider = null;
+
+function loadConfig() {
+    try {
+        return require('../config/llm.json');
+    } catch (e) {
+        return {};
+    }
+}
+
+function withoutUndefined(settings) {
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Build a provider from environment and config
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {BaseProvider} Configured provider
+ */
+function createProvider(env = process.env) {
+    const config = loadConfig();
+    const name = (env.LLM_PROVIDER || config.provider || 'openai').toLowerCase();
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const settings = {
+        ...withoutUndefined((config.providers || {})[name] || {}),
+        ...withoutUndefined(ENV_SETTINGS[name](env)),
+        ...withoutUndefined({
+            model: env.LLM_MODEL,
+            timeoutMs: env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : undefined
+        })
+    };
+
+    // Only local servers may run without a key
+    if (name !== 'local' && !settings.apiKey) {
+        throw new Error(`API key for LLM provider "${name}" not configured`);
+    }
+
+    return new Provider(settings);
+}
+
+function getProvider() {
+    if (!cachedProvider) {
+        cachedProvider = createProvider();
+        const info = cachedProvider.getInfo();
+        console.log(`🤖 LLM provider: ${info.provider} (${info.model})`);
+    }
+    return cachedProvider;
+}
+
+/**
+ * Clinical extraction used by /api/extract
+ * @param {Object} request - { transcription, segments, options }
+ * @param {Function} onDelta - Optional; receives raw model text as it streams in
+ * @param {AbortSignal} signal - Optional; aborts the model call
+ * @returns {Promise<Object>} { bundle, provider, model, usage, repairs, attempts }
+ */
+async function extract(request, onDelta = null, signal = null) {
+    return extractParsed(parseExtractionRequest(request), onDelta, signal);
+}
+
+async function extractParsed({ transcription, segments, options }, onDelta = null, signal = null) {
+    const config = loadConfig();
+    const provider = getProvider();
+    const result = await runExtraction(provider, transcription, options, {
+        temperature: config.temperature ?? 0.3,
+        maxTokens: config.maxTokens ?? 2000,
+        signal
+    }, onDelta, segments);
+
+    return {
+        bundle: result.bundle,
+        provider: provider.name,
+        model: result.model,
+        usage: result.usage,
+        repairs: result.repairs,
+        attempts: result.attempts
+    };
+}
+
+/**
+ * Answer an /api/extract request on a Node response (local server and Vercel).
+ * With options.stream the reply is server-sent events: `delta` events carry raw
+ * model text, then one `result` (same body as the JSON reply) or `error` event.
+ * Invalid requests get a plain JSON error either way, before any stream is opened.
+ * @param {Object} request - Parsed request body
+ * @param {http.ServerResponse} res - Response to write
+ */
+async function handleExtract(request, res) {
+    const sendError = err => {
+        console.error('AI extraction error:', err.message);
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: err.message, details: err.details } }));
+    };
+
+    let parsed;
+    try {
+        parsed = parseExtractionRequest(request);
+        getProvider();
+    } catch (err) {
+        sendError(err);
+        return;
+    }
+
+    if (!request.options?.stream) {
+        try {
+            const result = await extractParsed(parsed);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        } catch (err) {
+            sendError(err);
+        }
+        return;
+    }
+
+    // A client that goes away stops the model call. The response's 'close' is used because the
+    // request's fires as soon as its body has been read; it also fires after res.end(), hence the check
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies (nginx) from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    try {
+        const result = await extractParsed(parsed, text => send('delta', { text }), controller.signal);
+        send('result', result);
+    } catch (err) {
+        if (controller.signal.aborted) {
+            console.log('🔌 Client disconnected - extraction cancelled');
+            return;
+        }
+        console.error('AI extraction error:', err.message);
+        send('error', { message: err.message, details: err.details, status: err.status || 500 });
+    }
+    res.end();
+}
+
+module.exports = { PROVIDERS, createProvider, getProvider, extract, handleExtract };
@@ -0,0 +1,22 @@
+/**
+ * Local LLM Provider
+ * Any OpenAI-compatible server on the local network: Ollama, llama.cpp server, vLLM, LM Studio
+ */
+
+const OpenAIProvider = require('./openai-provider');
+
+class LocalProvider extends OpenAIProvider {
+    constructor(config) {
+        super({
+            // Ollama's OpenAI-compatible endpoint; llama.cpp's server is http://localhost:8080/v1
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+            // CPU inference on long notes is slow
+            timeoutMs: 600000,
+            ...config
+        });
+        this.name = 'Local';
+    }
+}
+
+module.exports = LocalProvider;
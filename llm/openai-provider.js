@@ -0,0 +1,68 @@
+/**
+ * OpenAI LLM Provider
+ * Chat completions via api.openai.com (or any OpenAI-compatible base URL)
+ */
+
+const BaseProvider = require('./base-provider');
+
+class OpenAIProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'OpenAI';
+        this.baseUrl = (this.config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = this.config.apiKey || null;
+        this.model = this.config.model || 'gpt-4';
+    }
+
+    async complete({ messages, temperature = 0.3, maxTokens = 2000, signal = null }) {
+        const data = await this._postJson(this._completionsUrl(), this._authHeaders(), {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        }, signal);
+
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error(`Invalid response from ${this.name}: no completion text`);
+        }
+
+        return {
+            content,
+            model: data.model || this.model,
+            usage: data.usage || null
+        };
+    }
+
+    async stream({ messages, temperature = 0.3, maxTokens = 2000, signal = null }, onDelta) {
+        let content = '';
+        let model = this.model;
+
+        await this._postStream(this._completionsUrl(), this._authHeaders(), {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true
+        }, event => {
+            model = event.model || model;
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+        }, signal);
+
+        return { content, model, usage: null };
+    }
+
+    _completionsUrl() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    _authHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -9,10 +9,14 @@ const url = require('url');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const llm = require('./llm');
+const speech = require('./speech');
 
 const PORT = 3000;
 const OPENMRS_BASE_URL = 'https://dev3.openmrs.org/openmrs';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// The raw chat-completions relay forwards any body with our key; off unless explicitly enabled
+const ENABLE_RAW_AI_PROXY = process.env.ENABLE_RAW_AI_PROXY === 'true';
 
 // MIME types for different file extensions
 const MIME_TYPES = {
@@ -31,7 +35,7 @@ const server = http.createServer((req, res) => {
     // Enable CORS for all requests
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Audio-Type');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -75,8 +79,55 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // Clinical extraction: transcription in, validated FHIR Bundle out (any configured AI provider)
+    if (req.url === '/api/extract') {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end('Method not allowed');
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body || '{}');
+            } catch (err) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: `Invalid JSON body: ${err.message}` } }));
+                return;
+            }
+
+            llm.handleExtract(request, res);
+        });
+
+        return;
+    }
+
+    // Server-side speech-to-text for browsers without webkitSpeechRecognition
+    if (req.url.startsWith('/api/transcribe')) {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end('Method not allowed');
+            return;
+        }
+
+        speech.handleTranscribe(req, res);
+        return;
+    }
+
     // Proxy OpenAI API requests
     if (req.url === '/api/openai') {
+        if (!ENABLE_RAW_AI_PROXY) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Raw AI proxy is disabled. Use /api/extract, or set ENABLE_RAW_AI_PROXY=true' }));
+            return;
+        }
+
         if (req.method !== 'POST') {
             res.writeHead(405);
             res.end('Method not allowed');
@@ -199,6 +250,16 @@ server.listen(PORT, () => {
     console.log(`\n✅ Aidstack Medical AI Server running!`);
     console.log(`🌐 Open: http://localhost:${PORT}`);
     console.log(`🔄 Proxying OpenMRS API at: ${OPENMRS_BASE_URL}`);
+    try {
+        llm.getProvider();
+    } catch (err) {
+        console.warn(`⚠️ AI extraction unavailable: ${err.message}`);
+    }
+    try {
+        speech.getBackend();
+    } catch (err) {
+        console.warn(`⚠️ Server transcription unavailable: ${err.message}`);
+    }
     console.log(`📁 Serving from: ./src`);
     console.log(`🔌 Connectors: ./connectors\n`);
 });
@@ -0,0 +1,53 @@
+/**
+ * Base Transcription Backend Interface
+ * All server-side speech-to-text backends must implement this interface
+ */
+
+class BaseBackend {
+    constructor(config) {
+        this.config = config || {};
+        this.name = 'Base';
+        this.timeoutMs = this.config.timeoutMs || 120000;
+        this.diarize = !!this.config.diarize;
+    }
+
+    /**
+     * Transcribe one self-contained audio clip
+     * @param {Buffer} audio - Encoded audio (webm/ogg/mp4/wav)
+     * @param {Object} options - { mimeType, language }
+     * @returns {Promise<Object>} { text, segments: [{ start, end, text, speakerTurn }], language }
+     *   speakerTurn is set when diarization is on: true means the next segment is a different speaker.
+     *   Turns rather than labels, because speaker labels are not stable from one clip to the next.
+     */
+    async transcribe(audio, options) {
+        throw new Error('transcribe() must be implemented by backend');
+    }
+
+    /**
+     * Get backend display info
+     * @returns {Object} { backend }
+     */
+    getInfo() {
+        return {
+            backend: this.name,
+            diarize: this.diarize
+        };
+    }
+
+    // File extension for an audio MIME type; decoders sniff the container from it
+    _extensionFor(mimeType) {
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+        const extensions = {
+            'audio/webm': 'webm',
+            'video/webm': 'webm',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'mp4',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav',
+            'audio/x-wav': 'wav'
+        };
+        return extensions[type] || 'webm';
+    }
+}
+
+module.exports = BaseBackend;
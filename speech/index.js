@@ -0,0 +1,135 @@
+/**
+ * Transcription Backend Registry
+ * Picks the speech-to-text backend from the environment (TRANSCRIBE_BACKEND)
+ * and answers /api/transcribe requests
+ */
+
+const OpenAIAudioBackend = require('./openai-audio-backend');
+const WhisperCppBackend = require('./whisper-cpp-backend');
+
+const BACKENDS = {
+    'openai': OpenAIAudioBackend,
+    'whisper-cpp': WhisperCppBackend
+};
+
+// Browser clips are a few seconds long; anything near this is a mistake
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+let cachedBackend = null;
+
+function withoutUndefined(settings) {
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Build a backend from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {BaseBackend} Configured backend
+ */
+function createBackend(env = process.env) {
+    const name = (env.TRANSCRIBE_BACKEND || 'openai').toLowerCase();
+    const Backend = BACKENDS[name];
+
+    if (!Backend) {
+        throw new Error(`Unknown transcription backend "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const timeoutMs = env.TRANSCRIBE_TIMEOUT_MS ? Number(env.TRANSCRIBE_TIMEOUT_MS) : undefined;
+    const diarize = env.TRANSCRIBE_DIARIZE === 'true';
+
+    if (name === 'whisper-cpp') {
+        return new Backend(withoutUndefined({
+            binary: env.WHISPER_CPP_BIN,
+            model: env.WHISPER_CPP_MODEL,
+            ffmpeg: env.FFMPEG_BIN,
+            threads: env.WHISPER_CPP_THREADS,
+            timeoutMs,
+            diarize
+        }));
+    }
+
+    const settings = withoutUndefined({
+        baseUrl: env.TRANSCRIBE_BASE_URL,
+        apiKey: env.TRANSCRIBE_API_KEY || (env.TRANSCRIBE_BASE_URL ? undefined : env.OPENAI_API_KEY),
+        model: env.TRANSCRIBE_MODEL,
+        timeoutMs,
+        diarize
+    });
+
+    // A custom base URL is usually a local server that needs no key
+    if (!settings.baseUrl && !settings.apiKey) {
+        throw new Error('Transcription needs OPENAI_API_KEY (or TRANSCRIBE_BASE_URL for a local server)');
+    }
+
+    return new Backend(settings);
+}
+
+function getBackend() {
+    if (!cachedBackend) {
+        cachedBackend = createBackend();
+        const info = cachedBackend.getInfo();
+        console.log(`🎙️ Transcription backend: ${info.backend}${info.diarize ? ' (speaker diarization on)' : ''}`);
+    }
+    return cachedBackend;
+}
+
+// Raw request body as a Buffer (Vercel may already have buffered it)
+function readBody(req) {
+    if (Buffer.isBuffer(req.body)) {
+        return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_AUDIO_BYTES) {
+                const error = new Error('Audio clip is too large');
+                error.status = 413;
+                reject(error);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer an /api/transcribe request on a Node response (local server and Vercel).
+ * The body is one self-contained audio clip; ?language=xx is optional.
+ * Replies { text, segments, language, backend }.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response to write
+ */
+async function handleTranscribe(req, res) {
+    try {
+        const audio = await readBody(req);
+        if (audio.length === 0) {
+            const error = new Error('No audio received');
+            error.status = 400;
+            throw error;
+        }
+
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const backend = getBackend();
+        const result = await backend.transcribe(audio, {
+            // The client sends application/octet-stream so hosts don't try to parse the body
+            mimeType: req.headers['x-audio-type'] || req.headers['content-type'],
+            language: query.get('language') || null
+        });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...result, backend: backend.name }));
+    } catch (err) {
+        console.error('Transcription error:', err.message);
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: err.message } }));
+    }
+}
+
+module.exports = { BACKENDS, createBackend, getBackend, handleTranscribe };
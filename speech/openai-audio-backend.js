@@ -0,0 +1,77 @@
+/**
+ * OpenAI-compatible Audio Backend
+ * POSTs clips to /audio/transcriptions - OpenAI Whisper, or a local
+ * server with the same API (faster-whisper-server, LocalAI, whisper.cpp server)
+ */
+
+const BaseBackend = require('./base-backend');
+
+class OpenAIAudioBackend extends BaseBackend {
+    constructor(config) {
+        super(config);
+        this.name = 'OpenAI-compatible audio';
+        this.baseUrl = (this.config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = this.config.apiKey || null;
+        this.model = this.config.model || 'whisper-1';
+    }
+
+    async transcribe(audio, { mimeType, language } = {}) {
+        const form = new FormData();
+        form.append('file', new Blob([audio], { type: mimeType || 'audio/webm' }), `audio.${this._extensionFor(mimeType)}`);
+        form.append('model', this.model);
+        if (this.diarize) {
+            // Diarizing models (e.g. gpt-4o-transcribe-diarize) label each segment with a speaker
+            form.append('response_format', 'diarized_json');
+            form.append('chunking_strategy', 'auto');
+        } else {
+            form.append('response_format', 'verbose_json');
+        }
+        if (language) {
+            form.append('language', language);
+        }
+
+        const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+            method: 'POST',
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: form,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Some servers answer plain text
+        }
+
+        if (!response.ok) {
+            const error = new Error(`${this.name} error (${response.status}): ${data?.error?.message || text || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const transcript = (data?.text ?? text ?? '').trim();
+        // Servers without verbose_json support return only text
+        const segments = Array.isArray(data?.segments)
+            ? data.segments.map(s => ({ start: s.start, end: s.end, text: (s.text || '').trim(), speaker: s.speaker })).filter(s => s.text)
+            : (transcript ? [{ start: 0, end: null, text: transcript }] : []);
+
+        // Labels like "A"/"B" only hold within this clip, so report where the speaker changes
+        segments.forEach((segment, i) => {
+            if (this.diarize) {
+                const next = segments[i + 1];
+                segment.speakerTurn = !!next && next.speaker !== undefined && next.speaker !== segment.speaker;
+            }
+            delete segment.speaker;
+        });
+
+        return {
+            text: transcript,
+            segments,
+            language: data?.language || language || null
+        };
+    }
+}
+
+module.exports = OpenAIAudioBackend;
@@ -0,0 +1,106 @@
+/**
+ * whisper.cpp Backend
+ * Runs a local whisper.cpp binary - no audio leaves the machine.
+ * Browser audio (webm/ogg) is converted to 16 kHz mono WAV with ffmpeg first.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseBackend = require('./base-backend');
+
+class WhisperCppBackend extends BaseBackend {
+    constructor(config) {
+        super(config);
+        this.name = 'whisper.cpp';
+        this.binary = this.config.binary || 'whisper-cli';
+        this.model = this.config.model || null;
+        this.ffmpeg = this.config.ffmpeg || 'ffmpeg';
+        this.threads = this.config.threads || null;
+
+        if (!this.model) {
+            throw new Error('whisper.cpp requires WHISPER_CPP_MODEL (path to a ggml model file)');
+        }
+    }
+
+    async transcribe(audio, { mimeType, language } = {}) {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'aidstack-stt-'));
+
+        try {
+            const input = path.join(dir, `input.${this._extensionFor(mimeType)}`);
+            const wav = path.join(dir, 'audio.wav');
+            const outputBase = path.join(dir, 'out');
+            await fs.promises.writeFile(input, audio);
+
+            await this._run(this.ffmpeg, ['-nostdin', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+
+            const args = ['-m', this.model, '-f', wav, '-l', language || 'auto', '-oj', '-of', outputBase, '-np'];
+            if (this.threads) {
+                args.push('-t', String(this.threads));
+            }
+            if (this.diarize) {
+                // tinydiarize - needs a -tdrz model, e.g. ggml-small.en-tdrz.bin
+                args.push('-tdrz');
+            }
+            await this._run(this.binary, args);
+
+            const result = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+            const segments = (result.transcription || [])
+                .map(s => {
+                    const segment = {
+                        start: (s.offsets?.from || 0) / 1000,
+                        end: (s.offsets?.to || 0) / 1000,
+                        text: (s.text || '').trim()
+                    };
+                    if (this.diarize) {
+                        segment.speakerTurn = !!s.speaker_turn_next;
+                    }
+                    return segment;
+                })
+                .filter(s => s.text);
+
+            return {
+                text: segments.map(s => s.text).join(' ').trim(),
+                segments,
+                language: result.result?.language || language || null
+            };
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Run a command to completion, failing on a non-zero exit or after timeoutMs
+    _run(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${path.basename(command)} timed out after ${this.timeoutMs} ms`));
+            }, this.timeoutMs);
+
+            child.stderr.on('data', chunk => {
+                // Keep the tail only - whisper.cpp is chatty
+                stderr = (stderr + chunk.toString()).slice(-2000);
+            });
+
+            child.on('error', err => {
+                clearTimeout(timer);
+                reject(new Error(`Could not run ${command}: ${err.message}`));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+                }
+            });
+        });
+    }
+}
+
+module.exports = WhisperCppBackend;
@@ -0,0 +1,183 @@
+/**
+ * Allergy Check - reads allergies and finds medications that conflict with them
+ * Allergies come from the extraction (AllergyIntolerance) and from the EHR
+ * (connector getAllergies()); both use { substance, category, reaction, severity }.
+ * Shared by the browser (review panel, push) and the server (extraction prompt)
+ */
+
+const AllergyCheck = {
+    CATEGORIES: ['medication', 'food', 'environment', 'biologic'],
+
+    // Drug classes an allergy can be recorded against; matching is on lower-case substrings
+    CLASSES: {
+        penicillin: {
+            name: 'penicillins',
+            aliases: ['penicillin'],
+            members: ['amoxicillin', 'ampicillin', 'cloxacillin', 'flucloxacillin', 'dicloxacillin', 'piperacillin', 'co-amoxiclav', 'augmentin'],
+            crossReacts: ['cephalosporin']
+        },
+        cephalosporin: {
+            name: 'cephalosporins',
+            aliases: ['cephalosporin'],
+            members: ['cefalexin', 'cephalexin', 'cefadroxil', 'cefuroxime', 'cefixime', 'ceftriaxone', 'cefotaxime', 'cefazolin', 'ceftazidime', 'cefepime'],
+            crossReacts: ['penicillin']
+        },
+        sulfonamide: {
+            name: 'sulfonamides',
+            aliases: ['sulfonamide', 'sulfa', 'sulpha'],
+            members: ['sulfamethoxazole', 'co-trimoxazole', 'cotrimoxazole', 'bactrim', 'septrin', 'sulfadiazine', 'sulfadoxine', 'sulfasalazine']
+        },
+        nsaid: {
+            name: 'NSAIDs',
+            aliases: ['nsaid', 'non-steroidal'],
+            members: ['aspirin', 'acetylsalicylic acid', 'ibuprofen', 'diclofenac', 'naproxen', 'indomethacin', 'ketoprofen', 'mefenamic acid', 'piroxicam', 'meloxicam', 'celecoxib']
+        },
+        macrolide: {
+            name: 'macrolides',
+            aliases: ['macrolide'],
+            members: ['erythromycin', 'azithromycin', 'clarithromycin']
+        },
+        fluoroquinolone: {
+            name: 'fluoroquinolones',
+            aliases: ['quinolone'],
+            members: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin', 'norfloxacin']
+        },
+        tetracycline: {
+            name: 'tetracyclines',
+            aliases: ['tetracycline'],
+            members: ['doxycycline', 'minocycline']
+        },
+        aminoglycoside: {
+            name: 'aminoglycosides',
+            aliases: ['aminoglycoside'],
+            members: ['gentamicin', 'amikacin', 'streptomycin', 'tobramycin', 'kanamycin']
+        },
+        opioid: {
+            name: 'opioids',
+            aliases: ['opioid', 'opiate'],
+            members: ['morphine', 'codeine', 'tramadol', 'pethidine', 'oxycodone', 'fentanyl', 'hydromorphone']
+        }
+    },
+
+    /**
+     * Read an AllergyIntolerance shaped like the extraction's
+     * @returns {Object} { substance, category, type, reaction, severity, source }
+     */
+    fromResource(resource) {
+        const category = Array.isArray(resource.category) ? resource.category[0] : resource.category;
+        return {
+            substance: resource.code?.text || 'Unknown allergen',
+            category: this.CATEGORIES.includes(category) ? category : null,
+            type: resource.type === 'intolerance' ? 'intolerance' : 'allergy',
+            reaction: (resource.reaction || [])
+                .flatMap(r => r?.manifestation || [])
+                .map(m => m?.text)
+                .filter(Boolean)
+                .join(', '),
+            severity: resource.criticality === 'high' ? 'Severe' : null,
+            source: resource.meta?.source
+        };
+    },
+
+    // An AllergyIntolerance shaped like the extraction's; keeps the rest of an existing resource's meta
+    toResource(allergy, existing = null) {
+        const resource = {
+            resourceType: 'AllergyIntolerance',
+            type: allergy.type || 'allergy',
+            code: { text: allergy.substance }
+        };
+        if (allergy.category) {
+            resource.category = [allergy.category];
+        }
+        if (allergy.reaction) {
+            resource.reaction = [{ manifestation: allergy.reaction.split(/,\s*/).filter(Boolean).map(text => ({ text })) }];
+        }
+        if (existing?.criticality) {
+            resource.criticality = existing.criticality;
+        }
+        if (existing?.meta) {
+            resource.meta = existing.meta;
+        }
+        return resource;
+    },
+
+    // "Penicillin (rash, severe)"
+    describe(allergy) {
+        const details = [allergy.reaction, allergy.severity?.toLowerCase()].filter(Boolean);
+        return `${allergy.substance}${allergy.type === 'intolerance' ? ' intolerance' : ''}${details.length ? ` (${details.join(', ')})` : ''}`;
+    },
+
+    /**
+     * Medications that conflict with an allergy - same drug, same class, or a class known to cross-react
+     * @param {Array<Object>} medications - [{ name }]
+     * @param {Array<Object>} allergies - [{ substance, category }]; food and environment allergies are ignored
+     * @returns {Array<Object>} [{ medication, allergy, reason, crossReaction }]
+     */
+    findConflicts(medications, allergies) {
+        const conflicts = [];
+        for (const medication of medications) {
+            for (const allergy of allergies) {
+                if (allergy.category && allergy.category !== 'medication' && allergy.category !== 'biologic') continue;
+
+                const match = this._match(medication.name, allergy.substance);
+                if (match) {
+                    conflicts.push({ medication: medication.name, allergy, ...match });
+                }
+            }
+        }
+        return conflicts;
+    },
+
+    _match(drug, substance) {
+        const name = this._normalize(drug);
+        const allergen = this._normalize(substance);
+        if (!name || !allergen) return null;
+
+        if (name.includes(allergen) || allergen.includes(name)) {
+            return { reason: `${drug} is the allergen`, crossReaction: false };
+        }
+
+        const drugClasses = this._classesOf(name);
+        const allergenClasses = this._classesOf(allergen);
+
+        const shared = drugClasses.find(key => allergenClasses.includes(key));
+        if (shared) {
+            return { reason: `${drug} is one of the ${this.CLASSES[shared].name}`, crossReaction: false };
+        }
+
+        for (const key of drugClasses) {
+            const related = (this.CLASSES[key].crossReacts || []).find(other => allergenClasses.includes(other));
+            if (related) {
+                return {
+                    reason: `${drug} is one of the ${this.CLASSES[key].name}, which can cross-react with ${this.CLASSES[related].name}`,
+                    crossReaction: true
+                };
+            }
+        }
+        return null;
+    },
+
+    _classesOf(name) {
+        return Object.keys(this.CLASSES).filter(key => {
+            const drugClass = this.CLASSES[key];
+            return [...drugClass.aliases, ...drugClass.members].some(term => name.includes(term));
+        });
+    },
+
+    // "Penicillin allergy" and "sulfa drugs" name the substance, not the wording around it
+    _normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/\b(allerg(y|ies|ic)|intolerance|drugs?|antibiotics?|to)\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AllergyCheck;
+}
+if (typeof window !== 'undefined') {
+    window.AllergyCheck = AllergyCheck;
+}
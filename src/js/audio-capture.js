@@ -0,0 +1,137 @@
+/**
+ * Audio Capture - keeps the recording's audio in the browser for review playback
+ * The audio never leaves the device and is discarded when a new recording starts
+ * or the page is closed.
+ */
+
+const AudioCapture = {
+    stream: null,
+    recorder: null,
+    active: false,
+    chunks: [],
+    leadIn: 0,              // Seconds between the transcript's start and the audio's start
+    audioBuffer: null,      // Decoded on playback, for the chunks recorded so far
+    decodedChunks: 0,
+    context: null,
+    source: null,
+
+    isSupported() {
+        return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    },
+
+    /**
+     * Start a new capture
+     * @param {Function} elapsed - Returns the transcript's clock in seconds; playRange takes times on that clock
+     */
+    async start(elapsed) {
+        this.clear();
+        if (!this.isSupported()) return;
+
+        this.active = true;
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (!this.active) {
+            // Recording was paused or cleared while the microphone was being opened
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.stream = stream;
+        this.recorder = new MediaRecorder(this.stream);
+        this.leadIn = Math.max(0, elapsed());
+
+        // Local references, so a stale recorder can't write into the next capture
+        const chunks = this.chunks;
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+
+        // Chunk every second so playback right after pausing has (nearly) everything
+        this.recorder.start(1000);
+        console.log('🎧 Capturing audio locally for playback');
+    },
+
+    // Pause with the transcript; paused time is left out of both timelines
+    pause() {
+        this.active = false;
+        if (this.recorder?.state === 'recording') {
+            this.recorder.pause();
+            this.recorder.requestData();
+        }
+    },
+
+    // Returns false when there is no capture to resume (start one instead)
+    resume() {
+        if (this.recorder?.state === 'paused') {
+            this.recorder.resume();
+            this.active = true;
+            return true;
+        }
+        return this.recorder?.state === 'recording';
+    },
+
+    hasAudio() {
+        return this.chunks.length > 0;
+    },
+
+    /**
+     * Play part of the recording
+     * @param {number} start - Seconds from the transcript's start
+     * @param {number} end - Seconds from the transcript's start (plays 5 s if unknown)
+     * @returns {Promise<boolean>} False if that part wasn't captured
+     */
+    async playRange(start, end) {
+        if (!this.hasAudio()) return false;
+        this.stopPlayback();
+
+        if (!this.context) {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        // MediaRecorder files often lack a duration, which breaks <audio> seeking; decoded audio seeks exactly.
+        // The chunks so far always form a complete file, since the first one carries the header.
+        if (!this.audioBuffer || this.decodedChunks !== this.chunks.length) {
+            this.decodedChunks = this.chunks.length;
+            const blob = new Blob(this.chunks, { type: this.recorder?.mimeType || 'audio/webm' });
+            this.audioBuffer = await this.context.decodeAudioData(await blob.arrayBuffer());
+        }
+
+        // Pad a little either side - recognition timestamps are approximate
+        const from = Math.max(0, start - this.leadIn - 0.3);
+        const to = Math.min(this.audioBuffer.duration, (end ?? start + 5) - this.leadIn + 0.5);
+        if (to <= from) return false;
+
+        this.source = this.context.createBufferSource();
+        this.source.buffer = this.audioBuffer;
+        this.source.connect(this.context.destination);
+        this.source.start(0, from, to - from);
+        return true;
+    },
+
+    stopPlayback() {
+        if (this.source) {
+            try {
+                this.source.stop();
+            } catch (e) {
+                // Already finished
+            }
+            this.source = null;
+        }
+    },
+
+    // Stop capturing and drop the audio
+    clear() {
+        this.active = false;
+        this.stopPlayback();
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.audioBuffer = null;
+        this.decodedChunks = 0;
+    }
+};
+
+window.AudioCapture = AudioCapture;
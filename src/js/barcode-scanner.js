@@ -0,0 +1,181 @@
+/**
+ * Barcode Scanner - reads patient identifiers from ID card barcodes with the camera
+ * Uses the browser's BarcodeDetector for Code 128 and QR codes where it has them,
+ * otherwise the ZXing decoder, loaded from a CDN the first time it is needed.
+ */
+
+const BarcodeScanner = {
+    FORMATS: ['code_128', 'qr_code'],
+    FALLBACK_URL: 'https://unpkg.com/@zxing/library@0.21.3/umd/index.min.js',
+    SCAN_INTERVAL_MS: 250,
+
+    stream: null,
+    video: null,
+    canvas: null,
+    decode: null,               // (video, canvas) => Promise<string|null>
+    timer: null,
+    active: false,
+    _fallbackLoaded: null,
+
+    isSupported() {
+        return !!navigator.mediaDevices?.getUserMedia;
+    },
+
+    /**
+     * Start the camera and scan until a barcode is read or stop() is called
+     * @param {HTMLVideoElement} video - Shows the camera preview
+     * @param {Object} handlers - { onDetected(identifier), onError(error) }; scanning stops before onDetected
+     */
+    async start(video, handlers = {}) {
+        if (this.active) return;
+        this.active = true;
+
+        try {
+            this.decode = await this._createDecoder();
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },   // The back camera on phones and tablets
+                audio: false
+            });
+            // Cancelled while the camera was starting
+            if (!this.active) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.stream = stream;
+            this.video = video;
+            this.canvas = this.canvas || document.createElement('canvas');
+            video.srcObject = stream;
+            video.setAttribute('playsinline', '');
+            await video.play();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        console.log('📷 Barcode scanner started');
+        this._scan(handlers);
+    },
+
+    stop() {
+        if (!this.active && !this.stream) return;
+        this.active = false;
+        clearTimeout(this.timer);
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+        console.log('📷 Barcode scanner stopped');
+    },
+
+    /**
+     * The identifier in a barcode's text. Cards may encode just the identifier, a URL
+     * with it as a query parameter, or a small JSON object
+     * @returns {string} Identifier, or '' when there is none
+     */
+    parseIdentifier(text) {
+        // GS1 barcodes separate fields with control characters
+        const value = (text || '').replace(/[\x00-\x1f]/g, '').trim();
+
+        if (value.startsWith('{')) {
+            try {
+                const data = JSON.parse(value);
+                return String(data.identifier || data.id || data.patientId || '').trim();
+            } catch (e) {
+                return value;
+            }
+        }
+        if (/^https?:\/\//i.test(value)) {
+            try {
+                const url = new URL(value);
+                return (url.searchParams.get('identifier') || url.searchParams.get('id') || url.pathname.split('/').filter(Boolean).pop() || '').trim();
+            } catch (e) {
+                return value;
+            }
+        }
+        return value;
+    },
+
+    _scan(handlers) {
+        if (!this.active) return;
+
+        this.decode(this.video, this.canvas)
+            .then(text => {
+                if (!this.active) return;
+                const identifier = text ? this.parseIdentifier(text) : '';
+                if (identifier) {
+                    console.log('📷 Barcode read:', identifier);
+                    this.stop();
+                    handlers.onDetected?.(identifier);
+                    return;
+                }
+                this.timer = setTimeout(() => this._scan(handlers), this.SCAN_INTERVAL_MS);
+            })
+            .catch(error => {
+                this.stop();
+                handlers.onError?.(error);
+            });
+    },
+
+    async _createDecoder() {
+        if ('BarcodeDetector' in window) {
+            const supported = await BarcodeDetector.getSupportedFormats();
+            const formats = this.FORMATS.filter(format => supported.includes(format));
+            if (formats.length === this.FORMATS.length) {
+                const detector = new BarcodeDetector({ formats });
+                return async video => {
+                    const barcodes = await detector.detect(video);
+                    return barcodes[0]?.rawValue || null;
+                };
+            }
+        }
+
+        await this._loadFallback();
+        const hints = new Map();
+        hints.set(ZXing.DecodeHintType.POSSIBLE_FORMATS, [ZXing.BarcodeFormat.CODE_128, ZXing.BarcodeFormat.QR_CODE]);
+        hints.set(ZXing.DecodeHintType.TRY_HARDER, true);
+        const reader = new ZXing.MultiFormatReader();
+        reader.setHints(hints);
+
+        return async (video, canvas) => {
+            if (!video.videoWidth) return null;     // No frame yet
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0);
+
+            const source = new ZXing.HTMLCanvasElementLuminanceSource(canvas);
+            try {
+                return reader.decode(new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source))).getText();
+            } catch (error) {
+                // ZXing throws when the frame has no barcode in it
+                if (error instanceof ZXing.NotFoundException || error instanceof ZXing.ChecksumException || error instanceof ZXing.FormatException) {
+                    return null;
+                }
+                throw error;
+            }
+        };
+    },
+
+    _loadFallback() {
+        if (typeof ZXing !== 'undefined') return Promise.resolve();
+        if (!this._fallbackLoaded) {
+            this._fallbackLoaded = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.FALLBACK_URL;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    this._fallbackLoaded = null;
+                    reject(new Error('Could not load the barcode decoder - check the internet connection'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this._fallbackLoaded;
+    }
+};
+
+window.BarcodeScanner = BarcodeScanner;
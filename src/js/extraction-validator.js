@@ -0,0 +1,569 @@
+/**
+ * Extraction Validator - parses, repairs and schema-checks the AI's FHIR extraction Bundle
+ * Shared by the server (/api/extract) and the browser. Order types and priorities are TestOrders'
+ */
+
+// The browser loads test-orders.js as a script; Node needs it required
+const OrderTypes = typeof TestOrders !== 'undefined' ? TestOrders : require('./test-orders');
+
+const ExtractionValidator = {
+    PRIORITIES: ['high', 'medium', 'low'],
+    SOURCES: ['patient', 'clinician'],     // meta.source - who said it, when the transcript has speakers
+    DIAGNOSIS_STATUSES: ['existing', 'new'], // Condition meta.diagnosisStatus, when the patient's chart was in the prompt
+
+    // Required display text per resource type the review screen shows; other types are ignored
+    TEXT_FIELDS: {
+        Condition: ['code', 'text'],
+        Observation: ['code', 'text'],
+        MedicationStatement: ['medicationCodeableConcept', 'text'],
+        MedicationRequest: ['medicationCodeableConcept', 'text'],
+        AllergyIntolerance: ['code', 'text'],
+        Procedure: ['code', 'text']
+    },
+
+    /**
+     * Parse, repair and validate in one go - what callers normally want
+     * @param {string} text - Raw completion text, or the reviewed extraction
+     * @param {Object} options - { fromModel }: clear what only the clinician may decide, such as accepted orders
+     * @returns {Object} { bundle, valid, errors, repairs }
+     */
+    parseAndValidate(text, options = {}) {
+        const { bundle, repairs } = this.repair(this.parse(text), options);
+        const { valid, errors } = this.validate(bundle);
+        return { bundle, valid, errors, repairs };
+    },
+
+    /**
+     * Parse the model's reply into an object. Tolerates a ```json fence, prose
+     * before or after the JSON, trailing commas and output cut off mid-way.
+     * @param {string} text - Raw completion text
+     * @returns {Object} Parsed JSON
+     */
+    parse(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('AI response is empty');
+        }
+
+        let jsonStr = text.trim();
+        const codeBlockMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)\s*(?:```|$)/);
+        if (codeBlockMatch) {
+            jsonStr = codeBlockMatch[1];
+        }
+
+        try {
+            return JSON.parse(jsonStr);
+        } catch (e) {
+            const repaired = this._repairJson(jsonStr);
+            if (repaired !== null) {
+                return repaired;
+            }
+            throw new Error(`AI response is not valid JSON: ${e.message}`);
+        }
+    },
+
+    /**
+     * Fix common shape problems: numbers sent as strings or percentages,
+     * single objects where arrays belong, odd priority casing, empty entries
+     * @param {Object} bundle - Parsed extraction
+     * @param {Object} options - { fromModel }, as for parseAndValidate
+     * @returns {Object} { bundle, repairs } - repaired copy and a description of each fix
+     */
+    repair(bundle, { fromModel = false } = {}) {
+        const repairs = [];
+        if (!this._isObject(bundle)) {
+            return { bundle, repairs };
+        }
+
+        const fixed = JSON.parse(JSON.stringify(bundle));
+
+        if (fixed.resourceType === undefined && Array.isArray(fixed.entry)) {
+            fixed.resourceType = 'Bundle';
+            repairs.push('added resourceType "Bundle"');
+        }
+
+        if (this._isObject(fixed.entry)) {
+            fixed.entry = [fixed.entry];
+            repairs.push('wrapped entry in an array');
+        }
+
+        if (Array.isArray(fixed.entry)) {
+            const before = fixed.entry.length;
+            // Models sometimes list bare resources instead of { resource }
+            fixed.entry = fixed.entry
+                .map(entry => this._isObject(entry) && !entry.resource && entry.resourceType ? { resource: entry } : entry)
+                .filter(entry => this._isObject(entry?.resource));
+            if (fixed.entry.length !== before) {
+                repairs.push(`dropped ${before - fixed.entry.length} entries without a resource`);
+            }
+
+            fixed.entry.forEach((entry, i) => {
+                const resource = entry.resource;
+
+                if (typeof resource.meta?.source === 'string') {
+                    const source = resource.meta.source.trim().toLowerCase();
+                    const mapped = /patient|reported|history/.test(source) ? 'patient'
+                        : /clinician|doctor|physician|provider|nurse|assessment|exam/.test(source) ? 'clinician'
+                            : source;
+                    if (!this.SOURCES.includes(mapped)) {
+                        // Not worth a re-ask - the review screen just shows no source
+                        repairs.push(`entry[${i}].resource.meta.source ${JSON.stringify(resource.meta.source)} dropped`);
+                        delete resource.meta.source;
+                    } else if (mapped !== resource.meta.source) {
+                        resource.meta.source = mapped;
+                        repairs.push(`entry[${i}].resource.meta.source normalised to "${mapped}"`);
+                    }
+                }
+
+                // Vital sign values sometimes arrive as text ("120", "37.5 C")
+                const quantity = resource.valueQuantity;
+                if (resource.resourceType === 'Observation' && this._isObject(quantity) && typeof quantity.value === 'string') {
+                    const match = quantity.value.trim().match(/^(-?\d+(?:\.\d+)?)\s*([^\d/.].*)?$/);
+                    if (match) {
+                        quantity.value = Number(match[1]);
+                        if (match[2] && !quantity.unit) {
+                            quantity.unit = match[2];
+                        }
+                        repairs.push(`entry[${i}].resource.valueQuantity.value converted to a number`);
+                    }
+                }
+
+                // Dosage numbers sometimes arrive with their units ("500 mg", "7 days", "2 weeks")
+                const dosage = resource.meta?.dosage;
+                if (this._isObject(dosage)) {
+                    if (typeof dosage.dose === 'string') {
+                        const match = dosage.dose.trim().match(/^(\d+(?:\.\d+)?)\s*([^\d/.].*)?$/);
+                        if (match) {
+                            dosage.dose = Number(match[1]);
+                            if (match[2] && !dosage.doseUnit) {
+                                dosage.doseUnit = match[2];
+                            }
+                            repairs.push(`entry[${i}].resource.meta.dosage.dose converted to a number`);
+                        }
+                    }
+                    if (typeof dosage.durationDays === 'string') {
+                        const match = dosage.durationDays.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(days?|weeks?|months?)?$/);
+                        if (match) {
+                            const days = { week: 7, weeks: 7, month: 30, months: 30 }[match[2]] || 1;
+                            dosage.durationDays = Number(match[1]) * days;
+                            repairs.push(`entry[${i}].resource.meta.dosage.durationDays converted to a number`);
+                        }
+                    }
+                    ['dose', 'doseUnit', 'route', 'frequency', 'durationDays'].forEach(key => {
+                        if (dosage[key] === null || dosage[key] === '') {
+                            delete dosage[key];
+                            repairs.push(`entry[${i}].resource.meta.dosage.${key} empty, dropped`);
+                        }
+                    });
+                }
+
+                if (resource.resourceType !== 'Condition') return;
+
+                const coding = resource.code?.coding;
+                if (this._isObject(coding)) {
+                    resource.code.coding = [coding];
+                    repairs.push(`entry[${i}].resource.code.coding wrapped in an array`);
+                }
+
+                if (resource.meta?.confidence !== undefined) {
+                    this._repairProbability(resource.meta, 'confidence', `entry[${i}].resource.meta.confidence`, repairs);
+                }
+
+                if (typeof resource.meta?.diagnosisStatus === 'string') {
+                    const status = resource.meta.diagnosisStatus.trim().toLowerCase();
+                    const mapped = /\b(exist|known|chronic|previous|prior|history)/.test(status) ? 'existing'
+                        : /\b(new|incident|first)/.test(status) ? 'new'
+                            : status;
+                    if (!this.DIAGNOSIS_STATUSES.includes(mapped)) {
+                        // The reviewer sets it instead
+                        repairs.push(`entry[${i}].resource.meta.diagnosisStatus ${JSON.stringify(resource.meta.diagnosisStatus)} dropped`);
+                        delete resource.meta.diagnosisStatus;
+                    } else if (mapped !== resource.meta.diagnosisStatus) {
+                        resource.meta.diagnosisStatus = mapped;
+                        repairs.push(`entry[${i}].resource.meta.diagnosisStatus normalised to "${mapped}"`);
+                    }
+                }
+            });
+        }
+
+        const meta = fixed.meta;
+        if (this._isObject(meta)) {
+            ['differentialDiagnosis', 'clinicalDecisionSupport'].forEach(key => {
+                if (this._isObject(meta[key])) {
+                    meta[key] = [meta[key]];
+                    repairs.push(`meta.${key} wrapped in an array`);
+                }
+            });
+
+            (Array.isArray(meta.differentialDiagnosis) ? meta.differentialDiagnosis : []).forEach((dd, i) => {
+                if (this._isObject(dd)) {
+                    this._repairProbability(dd, 'probability', `meta.differentialDiagnosis[${i}].probability`, repairs);
+                }
+            });
+
+            (Array.isArray(meta.clinicalDecisionSupport) ? meta.clinicalDecisionSupport : []).forEach((cds, i) => {
+                if (this._isObject(cds) && typeof cds.priority === 'string') {
+                    const priority = cds.priority.trim().toLowerCase();
+                    const mapped = priority === 'urgent' || priority === 'critical' ? 'high' : priority;
+                    if (mapped !== cds.priority && this.PRIORITIES.includes(mapped)) {
+                        cds.priority = mapped;
+                        repairs.push(`meta.clinicalDecisionSupport[${i}].priority normalised to "${mapped}"`);
+                    }
+                }
+
+                // Order proposals: other words for the type and priority, a null code
+                const order = cds?.order;
+                if (this._isObject(order)) {
+                    const path = `meta.clinicalDecisionSupport[${i}].order`;
+                    if (typeof order.type === 'string') {
+                        const type = order.type.trim().toLowerCase();
+                        const mapped = /lab|blood|urine|patholog/.test(type) ? 'lab' : /imag|radiolog|x-?ray|scan/.test(type) ? 'imaging' : type;
+                        if (mapped !== order.type) {
+                            order.type = mapped;
+                            repairs.push(`${path}.type normalised to "${mapped}"`);
+                        }
+                    }
+                    if (typeof order.priority === 'string') {
+                        const priority = order.priority.trim().toLowerCase();
+                        const mapped = { asap: 'urgent', high: 'urgent', normal: 'routine', medium: 'routine', low: 'routine', routine: 'routine' }[priority] || priority;
+                        if (mapped !== order.priority) {
+                            order.priority = mapped;
+                            repairs.push(`${path}.priority normalised to "${mapped}"`);
+                        }
+                    }
+                    if (order.code === null || order.code === undefined) {
+                        order.code = '';
+                        repairs.push(`${path}.code set to ""`);
+                    }
+                    // TestOrders.accepted() pushes these, so only the clinician's tick may set it
+                    if (fromModel && order.accepted !== undefined && order.accepted !== false) {
+                        order.accepted = false;
+                        repairs.push(`${path}.accepted set to false`);
+                    }
+                }
+            });
+
+            // Note sections sometimes come back as lists of sentences, or null for nothing said
+            const sections = meta.note?.sections;
+            if (this._isObject(sections)) {
+                Object.keys(sections).forEach(key => {
+                    if (Array.isArray(sections[key])) {
+                        sections[key] = sections[key].filter(line => typeof line === 'string').join('\n');
+                        repairs.push(`meta.note.sections.${key} joined into text`);
+                    } else if (sections[key] === null) {
+                        sections[key] = '';
+                        repairs.push(`meta.note.sections.${key} null replaced with ""`);
+                    }
+                });
+            }
+
+            if (this._isObject(meta.qualityScore)) {
+                this._repairProbability(meta.qualityScore, 'completeness', 'meta.qualityScore.completeness', repairs);
+                if (typeof meta.qualityScore.missingElements === 'string') {
+                    meta.qualityScore.missingElements = meta.qualityScore.missingElements
+                        .split(/[,;]\s*/)
+                        .filter(Boolean);
+                    repairs.push('meta.qualityScore.missingElements split into an array');
+                }
+            }
+        }
+
+        return { bundle: fixed, repairs };
+    },
+
+    /**
+     * Check an extraction Bundle against the schema the review screen relies on
+     * @param {Object} bundle - Parsed extraction
+     * @returns {Object} { valid, errors } - errors are human-readable paths and problems
+     */
+    validate(bundle) {
+        const errors = [];
+
+        if (!this._isObject(bundle)) {
+            return { valid: false, errors: ['Response must be a JSON object'] };
+        }
+        if (bundle.resourceType !== 'Bundle') {
+            errors.push('resourceType must be "Bundle"');
+        }
+
+        if (!Array.isArray(bundle.entry)) {
+            errors.push('entry must be an array');
+        } else {
+            bundle.entry.forEach((entry, i) => this._validateEntry(entry, `entry[${i}]`, errors));
+        }
+
+        if (bundle.meta !== undefined) {
+            this._validateMeta(bundle.meta, errors);
+        }
+
+        return { valid: errors.length === 0, errors };
+    },
+
+    _validateEntry(entry, path, errors) {
+        const resource = entry?.resource;
+        if (!this._isObject(resource)) {
+            errors.push(`${path}.resource must be an object`);
+            return;
+        }
+
+        const textField = this.TEXT_FIELDS[resource.resourceType];
+        if (!textField) return;
+
+        if (resource.meta?.source !== undefined && !this.SOURCES.includes(resource.meta.source)) {
+            errors.push(`${path}.resource.meta.source must be one of: ${this.SOURCES.join(', ')}`);
+        }
+
+        const [parent, field] = textField;
+        if (!this._isText(resource[parent]?.[field])) {
+            errors.push(`${path}.resource.${parent}.${field} must be a non-empty string`);
+        }
+
+        const isVital = resource.resourceType === 'Observation' && resource.category?.[0]?.text === 'vital-signs';
+        if (isVital && !(typeof resource.valueQuantity?.value === 'number' && Number.isFinite(resource.valueQuantity.value))) {
+            errors.push(`${path}.resource.valueQuantity.value must be a number for a vital sign`);
+        }
+
+        const dosage = resource.meta?.dosage;
+        if (dosage !== undefined) {
+            if (!this._isObject(dosage)) {
+                errors.push(`${path}.resource.meta.dosage must be an object`);
+            } else {
+                ['dose', 'durationDays'].forEach(key => {
+                    if (dosage[key] !== undefined && !(typeof dosage[key] === 'number' && Number.isFinite(dosage[key]) && dosage[key] > 0)) {
+                        errors.push(`${path}.resource.meta.dosage.${key} must be a positive number`);
+                    }
+                });
+                ['doseUnit', 'route', 'frequency'].forEach(key => {
+                    if (dosage[key] !== undefined && typeof dosage[key] !== 'string') {
+                        errors.push(`${path}.resource.meta.dosage.${key} must be a string`);
+                    }
+                });
+            }
+        }
+
+        if (resource.resourceType !== 'Condition') return;
+
+        const coding = resource.code?.coding;
+        if (coding !== undefined) {
+            if (!Array.isArray(coding)) {
+                errors.push(`${path}.resource.code.coding must be an array`);
+            } else {
+                coding.forEach((c, j) => {
+                    if (!this._isText(c?.code)) {
+                        errors.push(`${path}.resource.code.coding[${j}].code must be a non-empty string`);
+                    }
+                });
+            }
+        }
+
+        if (!this._isProbability(resource.meta?.confidence)) {
+            errors.push(`${path}.resource.meta.confidence must be a number between 0 and 1`);
+        }
+        if (resource.meta?.diagnosisStatus !== undefined && !this.DIAGNOSIS_STATUSES.includes(resource.meta.diagnosisStatus)) {
+            errors.push(`${path}.resource.meta.diagnosisStatus must be one of: ${this.DIAGNOSIS_STATUSES.join(', ')}`);
+        }
+    },
+
+    _validateOrder(order, path, errors) {
+        if (!this._isObject(order)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        const types = Object.keys(OrderTypes.TYPES);
+        if (!types.includes(order.type)) {
+            errors.push(`${path}.type must be one of ${types.join(', ')}`);
+        }
+        if (!this._isText(order.name)) {
+            errors.push(`${path}.name must be a non-empty string`);
+        }
+        if (typeof order.code !== 'string') {
+            errors.push(`${path}.code must be a string`);
+        }
+        if (!OrderTypes.PRIORITIES.includes(order.priority)) {
+            errors.push(`${path}.priority must be one of ${OrderTypes.PRIORITIES.join(', ')}`);
+        }
+        if (order.reason !== undefined && typeof order.reason !== 'string') {
+            errors.push(`${path}.reason must be a string`);
+        }
+    },
+
+    _validateMeta(meta, errors) {
+        if (!this._isObject(meta)) {
+            errors.push('meta must be an object');
+            return;
+        }
+
+        const differentials = meta.differentialDiagnosis;
+        if (differentials !== undefined) {
+            if (!Array.isArray(differentials)) {
+                errors.push('meta.differentialDiagnosis must be an array');
+            } else {
+                differentials.forEach((dd, i) => {
+                    const path = `meta.differentialDiagnosis[${i}]`;
+                    if (!this._isText(dd?.condition)) {
+                        errors.push(`${path}.condition must be a non-empty string`);
+                    }
+                    if (!this._isProbability(dd?.probability)) {
+                        errors.push(`${path}.probability must be a number between 0 and 1`);
+                    }
+                    if (dd?.icd10 !== undefined && typeof dd.icd10 !== 'string') {
+                        errors.push(`${path}.icd10 must be a string`);
+                    }
+                });
+            }
+        }
+
+        const decisionSupport = meta.clinicalDecisionSupport;
+        if (decisionSupport !== undefined) {
+            if (!Array.isArray(decisionSupport)) {
+                errors.push('meta.clinicalDecisionSupport must be an array');
+            } else {
+                decisionSupport.forEach((cds, i) => {
+                    const path = `meta.clinicalDecisionSupport[${i}]`;
+                    if (!this._isText(cds?.message)) {
+                        errors.push(`${path}.message must be a non-empty string`);
+                    }
+                    if (!this.PRIORITIES.includes(cds?.priority)) {
+                        errors.push(`${path}.priority must be one of ${this.PRIORITIES.join(', ')}`);
+                    }
+                    if (cds?.order !== undefined) {
+                        this._validateOrder(cds.order, `${path}.order`, errors);
+                    }
+                });
+            }
+        }
+
+        const note = meta.note;
+        if (note !== undefined) {
+            if (!this._isObject(note) || !this._isObject(note.sections)) {
+                errors.push('meta.note must be an object with a sections object');
+            } else {
+                Object.entries(note.sections).forEach(([key, text]) => {
+                    if (typeof text !== 'string') {
+                        errors.push(`meta.note.sections.${key} must be a string`);
+                    }
+                });
+            }
+        }
+
+        const quality = meta.qualityScore;
+        if (quality !== undefined) {
+            if (!this._isObject(quality)) {
+                errors.push('meta.qualityScore must be an object');
+            } else {
+                if (!this._isProbability(quality.completeness)) {
+                    errors.push('meta.qualityScore.completeness must be a number between 0 and 1');
+                }
+                if (quality.missingElements !== undefined &&
+                    !(Array.isArray(quality.missingElements) && quality.missingElements.every(m => typeof m === 'string'))) {
+                    errors.push('meta.qualityScore.missingElements must be an array of strings');
+                }
+            }
+        }
+    },
+
+    // Turn "0.85", "85%" or 85 into 0.85
+    _repairProbability(target, key, path, repairs) {
+        const original = target[key];
+        let value = original;
+
+        if (typeof value === 'string') {
+            const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%?)$/);
+            if (!match) return;
+            value = Number(match[1]) / (match[2] ? 100 : 1);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        if (value > 1 && value <= 100) {
+            value = value / 100;
+        }
+
+        if (value !== original) {
+            target[key] = value;
+            repairs.push(`${path} converted from ${JSON.stringify(original)} to ${value}`);
+        }
+    },
+
+    /**
+     * Recover a JSON object from text with surrounding prose, trailing commas
+     * or a truncated ending. Returns null when nothing usable is found.
+     */
+    _repairJson(text) {
+        const start = text.indexOf('{');
+        if (start === -1) return null;
+
+        // Walk the text once, noting every point where the JSON so far is complete
+        // up to an element boundary, and which brackets are still open there
+        const stack = [];
+        const safePoints = [];
+        let inString = false;
+        let escaped = false;
+        let end = -1;
+
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{' || ch === '[') {
+                stack.push(ch === '{' ? '}' : ']');
+            } else if (ch === '}' || ch === ']') {
+                stack.pop();
+                if (stack.length === 0) {
+                    end = i + 1;
+                    break;
+                }
+                safePoints.push({ at: i + 1, closers: stack.slice() });
+            } else if (ch === ',') {
+                safePoints.push({ at: i, closers: stack.slice() });
+            }
+        }
+
+        const candidates = [];
+        if (end !== -1) {
+            // Complete object followed (or preceded) by prose
+            candidates.push(text.slice(start, end));
+        } else {
+            // Truncated: close what is open, first keeping the partial value, then cutting back
+            candidates.push(text.slice(start) + (inString ? '"' : '') + stack.slice().reverse().join(''));
+            for (let i = safePoints.length - 1; i >= 0 && candidates.length < 50; i--) {
+                const point = safePoints[i];
+                candidates.push(text.slice(start, point.at) + point.closers.slice().reverse().join(''));
+            }
+        }
+
+        for (const candidate of candidates) {
+            try {
+                return JSON.parse(candidate.replace(/,(\s*[}\]])/g, '$1'));
+            } catch (e) {
+                // Try the next, shorter candidate
+            }
+        }
+        return null;
+    },
+
+    _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    _isText(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    },
+
+    _isProbability(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtractionValidator;
+}
+if (typeof window !== 'undefined') {
+    window.ExtractionValidator = ExtractionValidator;
+}
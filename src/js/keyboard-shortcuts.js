@@ -48,6 +48,13 @@ const KeyboardShortcuts = {
         this.shortcuts[keyString] = callback;
     },
 
+    // Run a shortcut's action without the key press (e.g. from a voice command)
+    trigger(keyString) {
+        if (!this.shortcuts[keyString]) return false;
+        this.shortcuts[keyString]();
+        return true;
+    },
+
     unregister(keyString) {
         delete this.shortcuts[keyString];
     },
@@ -0,0 +1,34 @@
+/**
+ * Dictation Languages - the languages a note can be dictated in
+ * Shared by the browser (recognition, dictionaries) and the server (extraction prompt)
+ */
+
+const Languages = {
+    DEFAULT: 'en',
+
+    // code: ISO 639-1, also what Whisper expects; speechLang: BCP 47 tag for webkitSpeechRecognition
+    SUPPORTED: {
+        en: { name: 'English', nativeName: 'English', speechLang: 'en-US' },
+        fr: { name: 'French', nativeName: 'Français', speechLang: 'fr-FR' },
+        es: { name: 'Spanish', nativeName: 'Español', speechLang: 'es-ES' },
+        sw: { name: 'Swahili', nativeName: 'Kiswahili', speechLang: 'sw-KE' },
+        pt: { name: 'Portuguese', nativeName: 'Português', speechLang: 'pt-BR' }
+    },
+
+    isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(this.SUPPORTED, code);
+    },
+
+    // Settings for a language, falling back to the default for unknown codes
+    get(code) {
+        return this.SUPPORTED[this.isSupported(code) ? code : this.DEFAULT];
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Languages;
+}
+if (typeof window !== 'undefined') {
+    window.Languages = Languages;
+}
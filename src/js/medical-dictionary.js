@@ -1,9 +1,12 @@
 /**
  * Medical Term Correction Dictionary
- * Common medical terms and their corrections
+ * Common medical terms and their corrections, per dictation language
  */
 
 const MedicalDictionary = {
+    language: 'en',
+
+    // English - the default dictionary
     terms: {
         // Common medications
         'amoxicillin': ['amoxicillin', 'amoxycillin'],
@@ -66,13 +69,133 @@ const MedicalDictionary = {
         'soon through': 'synthroid'
     },
 
-    correctText(text) {
+    // Other dictation languages; terms are canonical names in that language
+    locales: {
+        fr: {
+            terms: {
+                'paracétamol': ['paracétamol', 'doliprane', 'efferalgan', 'dafalgan'],
+                'amoxicilline': ['amoxicilline', 'clamoxyl'],
+                'ibuprofène': ['ibuprofène', 'advil', 'nurofen'],
+                'artéméther-luméfantrine': ['artéméther-luméfantrine', 'coartem'],
+                'metformine': ['metformine', 'glucophage'],
+                'hypertension artérielle': ['hypertension artérielle', 'hypertension', 'hta'],
+                'diabète': ['diabète', 'diabète sucré'],
+                'paludisme': ['paludisme', 'palu', 'malaria'],
+                'pneumonie': ['pneumonie', 'pneumopathie'],
+                'tuberculose': ['tuberculose', 'tb'],
+                'céphalée': ['céphalée', 'mal de tête', 'maux de tête'],
+                'dyspnée': ['dyspnée', 'essoufflement'],
+                'fièvre': ['fièvre'],
+                'toux': ['toux'],
+                'diarrhée': ['diarrhée'],
+                'vomissements': ['vomissements']
+            },
+            corrections: {
+                'para cétamol': 'paracétamol',
+                'amoxy cilline': 'amoxicilline',
+                'hyper tension': 'hypertension',
+                'dia bête': 'diabète',
+                'palu disme': 'paludisme',
+                'cé phalée': 'céphalée'
+            }
+        },
+        es: {
+            terms: {
+                'paracetamol': ['paracetamol', 'acetaminofén', 'tylenol'],
+                'amoxicilina': ['amoxicilina'],
+                'ibuprofeno': ['ibuprofeno', 'advil'],
+                'metformina': ['metformina'],
+                'hipertensión': ['hipertensión', 'presión alta', 'hta'],
+                'diabetes': ['diabetes', 'diabetes mellitus'],
+                'paludismo': ['paludismo', 'malaria'],
+                'neumonía': ['neumonía', 'pulmonía'],
+                'tuberculosis': ['tuberculosis', 'tb'],
+                'cefalea': ['cefalea', 'dolor de cabeza'],
+                'disnea': ['disnea', 'falta de aire'],
+                'fiebre': ['fiebre'],
+                'tos': ['tos'],
+                'diarrea': ['diarrea'],
+                'vómitos': ['vómitos']
+            },
+            corrections: {
+                'para cetamol': 'paracetamol',
+                'amoxi cilina': 'amoxicilina',
+                'hiper tensión': 'hipertensión',
+                'neu monía': 'neumonía',
+                'ce falea': 'cefalea'
+            }
+        },
+        sw: {
+            terms: {
+                'paracetamol': ['paracetamol', 'panadol'],
+                'amoxicillin': ['amoxicillin', 'amoksilini'],
+                'dawa mseto': ['dawa mseto', 'alu', 'coartem'],
+                'shinikizo la damu': ['shinikizo la damu', 'presha', 'hypertension'],
+                'kisukari': ['kisukari', 'sukari', 'diabetes'],
+                'malaria': ['malaria', 'homa ya malaria'],
+                'nimonia': ['nimonia', 'pneumonia'],
+                'kifua kikuu': ['kifua kikuu', 'tb'],
+                'maumivu ya kichwa': ['maumivu ya kichwa', 'kichwa kuuma'],
+                'kupumua kwa shida': ['kupumua kwa shida', 'kubanwa na pumzi'],
+                'homa': ['homa'],
+                'kikohozi': ['kikohozi'],
+                'kuhara': ['kuhara', 'kuharisha'],
+                'kutapika': ['kutapika']
+            },
+            corrections: {
+                'para cetamol': 'paracetamol',
+                'amoxi cillin': 'amoxicillin',
+                'ni monia': 'nimonia'
+            }
+        },
+        pt: {
+            terms: {
+                'paracetamol': ['paracetamol', 'tylenol'],
+                'amoxicilina': ['amoxicilina'],
+                'ibuprofeno': ['ibuprofeno', 'advil'],
+                'metformina': ['metformina'],
+                'hipertensão': ['hipertensão', 'pressão alta', 'has'],
+                'diabetes': ['diabetes', 'diabetes mellitus'],
+                'malária': ['malária', 'paludismo'],
+                'pneumonia': ['pneumonia'],
+                'tuberculose': ['tuberculose', 'tb'],
+                'cefaleia': ['cefaleia', 'dor de cabeça'],
+                'dispneia': ['dispneia', 'falta de ar'],
+                'febre': ['febre'],
+                'tosse': ['tosse'],
+                'diarreia': ['diarreia'],
+                'vômitos': ['vômitos', 'vómitos']
+            },
+            corrections: {
+                'para cetamol': 'paracetamol',
+                'amoxi cilina': 'amoxicilina',
+                'hiper tensão': 'hipertensão',
+                'ce faleia': 'cefaleia'
+            }
+        }
+    },
+
+    // Pick the dictionary used by correctText and the term lookups
+    setLanguage(code) {
+        this.language = code === 'en' || this.locales[code] ? code : 'en';
+    },
+
+    getTerms(language = this.language) {
+        return this.locales[language]?.terms || this.terms;
+    },
+
+    getCorrections(language = this.language) {
+        return this.locales[language]?.corrections || this.corrections;
+    },
+
+    correctText(text, language = this.language) {
         let corrected = text;
+        const corrections = this.getCorrections(language);
 
         // Apply corrections
-        Object.keys(this.corrections).forEach(wrong => {
+        Object.keys(corrections).forEach(wrong => {
             const regex = new RegExp(wrong, 'gi');
-            corrected = corrected.replace(regex, this.corrections[wrong]);
+            corrected = corrected.replace(regex, corrections[wrong]);
         });
 
         return corrected;
@@ -81,9 +204,10 @@ const MedicalDictionary = {
     findSimilarTerms(query) {
         query = query.toLowerCase();
         const matches = [];
+        const terms = this.getTerms();
 
-        Object.keys(this.terms).forEach(canonical => {
-            const variants = this.terms[canonical];
+        Object.keys(terms).forEach(canonical => {
+            const variants = terms[canonical];
             if (variants.some(v => v.includes(query) || query.includes(v))) {
                 matches.push({
                     canonical,
@@ -97,7 +221,7 @@ const MedicalDictionary = {
 
     isValidMedicalTerm(term) {
         term = term.toLowerCase();
-        return Object.values(this.terms).some(variants =>
+        return Object.values(this.getTerms()).some(variants =>
             variants.some(v => v.toLowerCase() === term)
         );
     }
@@ -0,0 +1,148 @@
+/**
+ * Medications - structured dosage for the medications the extraction finds
+ * MedicationStatement is a medicine the patient already takes; MedicationRequest one
+ * prescribed in this encounter, which connectors can push as an order.
+ * Shared by the browser (review panel, push) and the server (extraction prompt)
+ */
+
+const Medications = {
+    // Name of a row the clinician added and hasn't filled in yet - never pushed
+    NEW_NAME: 'New medication',
+
+    ROUTES: ['oral', 'intravenous', 'intramuscular', 'subcutaneous', 'topical', 'inhaled', 'rectal', 'sublingual'],
+
+    // perDay is used to work out how much to dispense; timing is the FHIR Timing.repeat
+    FREQUENCIES: {
+        'once daily': { perDay: 1, timing: { frequency: 1, period: 1, periodUnit: 'd' } },
+        'twice daily': { perDay: 2, timing: { frequency: 2, period: 1, periodUnit: 'd' } },
+        'three times daily': { perDay: 3, timing: { frequency: 3, period: 1, periodUnit: 'd' } },
+        'four times daily': { perDay: 4, timing: { frequency: 4, period: 1, periodUnit: 'd' } },
+        'every 4 hours': { perDay: 6, timing: { frequency: 1, period: 4, periodUnit: 'h' } },
+        'every 6 hours': { perDay: 4, timing: { frequency: 1, period: 6, periodUnit: 'h' } },
+        'every 8 hours': { perDay: 3, timing: { frequency: 1, period: 8, periodUnit: 'h' } },
+        'at night': { perDay: 1, timing: { frequency: 1, period: 1, periodUnit: 'd', when: ['HS'] } },
+        'once': { perDay: null, timing: { count: 1 } },
+        'as needed': { perDay: null, timing: null, asNeeded: true }
+    },
+
+    // Abbreviations and other ways routes and frequencies get written
+    ALIASES: {
+        'po': 'oral', 'by mouth': 'oral', 'orally': 'oral',
+        'iv': 'intravenous', 'intravenously': 'intravenous',
+        'im': 'intramuscular', 'intramuscularly': 'intramuscular',
+        'sc': 'subcutaneous', 'subcut': 'subcutaneous', 'subcutaneously': 'subcutaneous',
+        'sl': 'sublingual', 'pr': 'rectal', 'inhalation': 'inhaled',
+        'daily': 'once daily', 'od': 'once daily', 'qd': 'once daily', 'once a day': 'once daily',
+        'bd': 'twice daily', 'bid': 'twice daily', 'twice a day': 'twice daily',
+        'tds': 'three times daily', 'tid': 'three times daily', 'three times a day': 'three times daily',
+        'qds': 'four times daily', 'qid': 'four times daily', 'four times a day': 'four times daily',
+        'q4h': 'every 4 hours', 'q6h': 'every 6 hours', 'q8h': 'every 8 hours',
+        'nocte': 'at night', 'at bedtime': 'at night',
+        'stat': 'once', 'single dose': 'once',
+        'prn': 'as needed'
+    },
+
+    isMedication(resource) {
+        return resource?.resourceType === 'MedicationStatement' || resource?.resourceType === 'MedicationRequest';
+    },
+
+    // Route or frequency in its standard wording, or the text as given if it isn't one we know
+    normalize(text) {
+        if (typeof text !== 'string' || !text.trim()) return '';
+        const key = text.trim().toLowerCase().replace(/\.$/, '');
+        return this.ALIASES[key] || key;
+    },
+
+    /**
+     * Read a medication resource shaped like the extraction's
+     * @param {Object} resource - MedicationStatement or MedicationRequest
+     * @returns {Object} { name, ordered, dose, doseUnit, route, frequency, durationDays, source }
+     */
+    fromResource(resource) {
+        const dosage = resource.meta?.dosage || {};
+        const number = value => typeof value === 'number' && Number.isFinite(value) ? value : null;
+        return {
+            name: resource.medicationCodeableConcept?.text || 'Unknown medication',
+            ordered: resource.resourceType === 'MedicationRequest',
+            dose: number(dosage.dose),
+            doseUnit: typeof dosage.doseUnit === 'string' ? dosage.doseUnit.trim() : '',
+            route: this.normalize(dosage.route),
+            frequency: this.normalize(dosage.frequency),
+            durationDays: number(dosage.durationDays),
+            source: resource.meta?.source
+        };
+    },
+
+    // A medication resource shaped like the extraction's; keeps the rest of an existing resource's meta
+    toResource(med, existing = null) {
+        const dosage = {};
+        if (med.dose !== null) dosage.dose = med.dose;
+        if (med.doseUnit) dosage.doseUnit = med.doseUnit;
+        if (med.route) dosage.route = med.route;
+        if (med.frequency) dosage.frequency = med.frequency;
+        if (med.durationDays !== null) dosage.durationDays = med.durationDays;
+
+        const resource = {
+            resourceType: med.ordered ? 'MedicationRequest' : 'MedicationStatement',
+            status: 'active',
+            ...(med.ordered ? { intent: 'order' } : {}),
+            medicationCodeableConcept: { text: med.name },
+            meta: { ...(existing?.meta || {}), dosage }
+        };
+        if (Object.keys(dosage).length === 0) {
+            delete resource.meta.dosage;
+        }
+        return resource;
+    },
+
+    // "Amoxicillin 500 mg oral three times daily for 7 days"
+    describe(med) {
+        const parts = [med.name];
+        if (med.dose !== null) parts.push(`${med.dose}${med.doseUnit ? ` ${med.doseUnit}` : ''}`);
+        if (med.route) parts.push(med.route);
+        if (med.frequency) parts.push(med.frequency);
+        if (med.durationDays !== null) parts.push(`for ${med.durationDays} day${med.durationDays === 1 ? '' : 's'}`);
+        return parts.join(' ');
+    },
+
+    // Total to dispense in dose units, when dose, frequency and duration are all known
+    quantity(med) {
+        const perDay = this.FREQUENCIES[med.frequency]?.perDay;
+        if (med.dose === null || !perDay || med.durationDays === null) return null;
+        return med.dose * perDay * med.durationDays;
+    },
+
+    // FHIR Dosage, for MedicationRequest.dosageInstruction and MedicationStatement.dosage
+    toFhirDosage(med) {
+        const frequency = this.FREQUENCIES[med.frequency];
+        const dosage = { text: this.describe(med) };
+
+        if (frequency?.timing || med.durationDays !== null) {
+            const repeat = { ...(frequency?.timing || {}) };
+            if (med.durationDays !== null) {
+                repeat.boundsDuration = { value: med.durationDays, unit: 'd', system: 'http://unitsofmeasure.org', code: 'd' };
+            }
+            dosage.timing = { repeat };
+        } else if (med.frequency && !frequency) {
+            dosage.timing = { code: { text: med.frequency } };
+        }
+        if (frequency?.asNeeded) {
+            dosage.asNeededBoolean = true;
+        }
+        if (med.route) {
+            dosage.route = { text: med.route };
+        }
+        if (med.dose !== null) {
+            dosage.doseAndRate = [{ doseQuantity: { value: med.dose, ...(med.doseUnit ? { unit: med.doseUnit } : {}) } }];
+        }
+        return dosage;
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Medications;
+}
+if (typeof window !== 'undefined') {
+    window.Medications = Medications;
+}
@@ -29,6 +29,18 @@ const OnboardingTour = {
             target: '#micButton',
             position: 'top'
         },
+        {
+            title: 'Voice Commands',
+            // Built from the command list so the tour stays in step with it
+            get description() {
+                return 'While dictating in English, say:<ul style="margin-top: 8px;">' +
+                    VoiceCommands.COMMANDS.map(c =>
+                        `<li><strong>"${c.phrases[0].replace('<name>', 'assessment')}"</strong> - ${c.description}</li>`
+                    ).join('') + '</ul>';
+            },
+            target: '#micButton',
+            position: 'top'
+        },
         {
             title: 'AI Processing',
             description: 'Our AI extracts conditions, medications, procedures, and symptoms automatically.',
@@ -0,0 +1,210 @@
+/**
+ * Patient Matcher - finds existing patients a new registration may duplicate
+ * Compares name, birthdate and gender, tolerating names that sound alike or have a
+ * typo or transposed letters, given and family names entered the wrong way round,
+ * and birthdates with a mistyped digit or the day and month swapped.
+ * Patients are { givenName, familyName, gender, birthdate, birthdateEstimated } as connectors return them;
+ * an estimated birthdate is only compared by year.
+ */
+
+const PatientMatcher = {
+    // Score (0-1) from which a patient is shown as a possible duplicate
+    THRESHOLD: 0.75,
+
+    // How much each part counts towards the score
+    WEIGHTS: { name: 0.6, birthdate: 0.3, gender: 0.1 },
+
+    /**
+     * Existing patients that look like the one being registered, best match first
+     * @param {Object} candidate - { givenName, familyName, gender, birthdate }
+     * @param {Array<Object>} patients - searchPatients() results
+     * @returns {Array<Object>} [{ patient, score, reasons }]
+     */
+    findDuplicates(candidate, patients) {
+        const seen = new Set();
+        return patients
+            .filter(patient => {
+                if (!patient?.uuid || seen.has(patient.uuid)) return false;
+                seen.add(patient.uuid);
+                return true;
+            })
+            .map(patient => ({ patient, ...this.compare(candidate, patient) }))
+            .filter(match => match.score >= this.THRESHOLD)
+            .sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * @returns {Object} { score, reasons } - reasons say what matched, for the registration clerk
+     */
+    compare(candidate, patient) {
+        const name = this._compareNames(candidate, patient);
+        const birthdate = candidate.birthdateEstimated || patient.birthdateEstimated
+            ? this._compareBirthYears(candidate.birthdate, patient.birthdate)
+            : this._compareBirthdates(candidate.birthdate, patient.birthdate);
+        const gender = this._compareGenders(candidate.gender, patient.gender);
+
+        // Different people can share a birthdate; without a similar name it isn't a duplicate
+        if (name.score < 0.7) {
+            return { score: 0, reasons: [] };
+        }
+
+        const score = name.score * this.WEIGHTS.name +
+            birthdate.score * this.WEIGHTS.birthdate +
+            gender.score * this.WEIGHTS.gender;
+
+        return {
+            score: Math.round(score * 100) / 100,
+            reasons: [name.reason, birthdate.reason, gender.reason].filter(Boolean)
+        };
+    },
+
+    _compareNames(candidate, patient) {
+        const given = this._normalize(candidate.givenName);
+        const family = this._normalize(candidate.familyName);
+        const otherGiven = this._normalize(patient.givenName);
+        const otherFamily = this._normalize(patient.familyName);
+        if (!given || !family || !otherGiven || !otherFamily) {
+            return { score: 0, reason: null };
+        }
+
+        const straight = [this._compareName(given, otherGiven), this._compareName(family, otherFamily)];
+        const swapped = [this._compareName(given, otherFamily), this._compareName(family, otherGiven)];
+        const score = parts => (parts[0].score + parts[1].score) / 2;
+
+        if (score(swapped) > score(straight)) {
+            return { score: score(swapped) * 0.95, reason: 'given and family names swapped' };
+        }
+
+        const weakest = straight[0].score <= straight[1].score ? straight[0] : straight[1];
+        return { score: score(straight), reason: weakest.reason };
+    },
+
+    _compareName(a, b) {
+        if (a === b) {
+            return { score: 1, reason: 'same name' };
+        }
+        // One typo or two letters transposed, in names long enough for that to mean something
+        if (Math.min(a.length, b.length) >= 4 && this._editDistance(a, b) === 1) {
+            return { score: 0.9, reason: 'name spelled slightly differently' };
+        }
+        if (this.soundex(a) === this.soundex(b)) {
+            return { score: 0.8, reason: 'similar-sounding name' };
+        }
+        // "Jo" registered for "Joseph"
+        if (Math.min(a.length, b.length) >= 2 && (a.startsWith(b) || b.startsWith(a))) {
+            return { score: 0.7, reason: 'shortened name' };
+        }
+        return { score: 0, reason: null };
+    },
+
+    _compareBirthdates(a, b) {
+        const first = this._date(a);
+        const second = this._date(b);
+        if (!first || !second) {
+            return { score: 0.5, reason: null };   // Unknown either way
+        }
+        if (first === second) {
+            return { score: 1, reason: 'same birthdate' };
+        }
+
+        const [year, month, day] = first.split('-');
+        if (second === `${year}-${day}-${month}`) {
+            return { score: 0.8, reason: 'birthdate with day and month swapped' };
+        }
+        if (this._editDistance(first, second) === 1) {
+            return { score: 0.7, reason: 'birthdate one digit different' };
+        }
+        // Estimated birthdates are often off by a year
+        if (first.slice(4) === second.slice(4) && Math.abs(Number(first.slice(0, 4)) - Number(second.slice(0, 4))) === 1) {
+            return { score: 0.5, reason: 'birthdate a year apart' };
+        }
+        return { score: 0, reason: null };
+    },
+
+    // An estimated birthdate (entered as an age) only says roughly which year
+    _compareBirthYears(a, b) {
+        const first = this._date(a);
+        const second = this._date(b);
+        if (!first || !second) {
+            return { score: 0.5, reason: null };
+        }
+
+        const years = Math.abs(Number(first.slice(0, 4)) - Number(second.slice(0, 4)));
+        if (years === 0) return { score: 0.9, reason: 'same year of birth (estimated)' };
+        if (years <= 2) return { score: 0.6, reason: 'similar age (estimated)' };
+        return { score: 0, reason: null };
+    },
+
+    _compareGenders(a, b) {
+        const first = this._gender(a);
+        const second = this._gender(b);
+        if (!first || !second) return { score: 0.5, reason: null };
+        return first === second ? { score: 1, reason: null } : { score: 0, reason: 'different gender' };
+    },
+
+    // American Soundex: "Mohamed" and "Muhammad" are both M530
+    soundex(name) {
+        const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+        const letters = this._normalize(name);
+        if (!letters) return '';
+
+        let result = letters[0].toUpperCase();
+        let previous = codes[letters[0]] || 0;
+        for (const letter of letters.slice(1)) {
+            const code = codes[letter] || 0;
+            if (code && code !== previous) {
+                result += code;
+            }
+            // H and W don't separate letters with the same code; vowels do
+            if (letter !== 'h' && letter !== 'w') {
+                previous = code;
+            }
+        }
+        return (result + '000').slice(0, 4);
+    },
+
+    // Optimal string alignment distance: edits, counting two swapped neighbours as one
+    _editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    },
+
+    // Lower-case letters only: "N'Diaye" and "Ndiaye", "José" and "Jose" compare equal
+    _normalize(name) {
+        return (name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z]/g, '');
+    },
+
+    // YYYY-MM-DD from a date or datetime string
+    _date(value) {
+        const match = /^(\d{4}-\d{2}-\d{2})/.exec(value || '');
+        return match ? match[1] : null;
+    },
+
+    _gender(value) {
+        const gender = (value || '').toString().trim().toUpperCase();
+        return { M: 'M', MALE: 'M', F: 'F', FEMALE: 'F' }[gender] || null;
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatientMatcher;
+}
+if (typeof window !== 'undefined') {
+    window.PatientMatcher = PatientMatcher;
+}
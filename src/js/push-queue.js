@@ -0,0 +1,156 @@
+/**
+ * Offline Push Queue - persistent outbox for reviewed encounters
+ * Holds pushes that failed for lack of connectivity and replays them
+ * with exponential backoff once the network is back.
+ */
+
+const PushQueue = {
+    STORAGE_KEY: 'aidstack_push_queue',
+    CHECK_INTERVAL: 15000,        // How often due entries are looked at
+    BASE_DELAY: 30000,            // First retry after 30 seconds
+    MAX_DELAY: 30 * 60 * 1000,    // Never wait more than 30 minutes
+
+    processor: null,
+    listeners: [],
+    processing: false,
+    timer: null,
+
+    /**
+     * Start background replay
+     * @param {Function} processor - async (entry) => true when pushed, false to skip for now
+     */
+    start(processor) {
+        this.processor = processor;
+
+        window.addEventListener('online', () => {
+            toast.info('Connection restored - syncing queued notes...');
+            this.flush();
+        });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.process(), this.CHECK_INTERVAL);
+        }
+
+        this.notify();
+        this.process();
+    },
+
+    getAll() {
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.error('Error loading push queue:', e);
+            return [];
+        }
+    },
+
+    count() {
+        return this.getAll().length;
+    },
+
+    /**
+     * Add a reviewed encounter to the outbox. An entry with the same key
+     * (the same recording session) is replaced, so a note is never queued twice.
+     */
+    enqueue(record, error) {
+        const entries = this.getAll().filter(e => e.key !== record.key);
+
+        entries.push({
+            ...record,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: Date.now() + this.BASE_DELAY,
+            status: 'pending',
+            lastError: error ? error.message : null
+        });
+
+        this.save(entries);
+        console.log('📥 Queued push for later:', record.key);
+    },
+
+    remove(key) {
+        const entries = this.getAll();
+        const remaining = entries.filter(e => e.key !== key);
+        if (remaining.length !== entries.length) {
+            this.save(remaining);
+        }
+    },
+
+    save(entries) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+        this.notify();
+    },
+
+    update(key, changes) {
+        this.save(this.getAll().map(e => e.key === key ? { ...e, ...changes } : e));
+    },
+
+    /**
+     * Retry everything now, ignoring backoff (manual "sync now")
+     */
+    flush() {
+        this.save(this.getAll().map(e => ({ ...e, status: 'pending', nextAttemptAt: 0 })));
+        return this.process();
+    },
+
+    async process() {
+        if (this.processing || !this.processor || !navigator.onLine) return;
+
+        const due = this.getAll().filter(e => e.status === 'pending' && e.nextAttemptAt <= Date.now());
+        if (due.length === 0) return;
+
+        this.processing = true;
+        this.notify();
+
+        try {
+            for (const entry of due) {
+                try {
+                    const pushed = await this.processor(entry);
+                    if (pushed) {
+                        this.remove(entry.key);
+                    }
+                } catch (error) {
+                    const attempts = entry.attempts + 1;
+
+                    if (this.isConnectivityError(error)) {
+                        // Still offline: back off exponentially, with jitter so clients don't retry in lockstep
+                        const delay = Math.min(this.BASE_DELAY * Math.pow(2, attempts), this.MAX_DELAY);
+                        this.update(entry.key, {
+                            attempts,
+                            nextAttemptAt: Date.now() + delay * (0.8 + Math.random() * 0.4),
+                            lastError: error.message
+                        });
+                    } else {
+                        // The EHR rejected it - retrying won't help, leave it for the user
+                        this.update(entry.key, { attempts, status: 'failed', lastError: error.message });
+                        toast.error(`Queued note could not be pushed: ${error.message}`);
+                    }
+                }
+            }
+        } finally {
+            this.processing = false;
+            this.notify();
+        }
+    },
+
+    /**
+     * Whether an error means "couldn't reach the EHR" rather than "the EHR said no"
+     */
+    isConnectivityError(error) {
+        if (!navigator.onLine) return true;
+        // fetch() rejects with a TypeError when the request never got a response
+        return error instanceof TypeError;
+    },
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
+
+    notify() {
+        const entries = this.getAll();
+        this.listeners.forEach(listener => listener(entries, this.processing));
+    }
+};
+
+window.PushQueue = PushQueue;
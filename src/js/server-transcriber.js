@@ -0,0 +1,147 @@
+/**
+ * Server Transcriber - records with MediaRecorder and transcribes on our server
+ * Works in browsers without webkitSpeechRecognition (Firefox, Android WebViews)
+ * and keeps audio off browser-vendor speech services.
+ */
+
+const ServerTranscriber = {
+    ENDPOINT: '/api/transcribe',
+    CLIP_MS: 8000,              // Each clip is a complete file the server can decode on its own
+
+    stream: null,
+    recorder: null,
+    clipTimer: null,
+    active: false,
+    startedAt: 0,
+    pending: 0,
+    uploadChain: Promise.resolve(),
+    flushed: Promise.resolve(),     // Resolves once the last clip after stop() is queued
+    handlers: {},
+
+    isSupported() {
+        return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    },
+
+    /**
+     * Start recording
+     * @param {Object} handlers - { language, elapsed(), onText(text, segments, offset), onPendingChange(count), onError(error) }
+     *   elapsed() returns the recording's clock in seconds, so timestamps continue across pause/resume
+     */
+    async start(handlers = {}) {
+        if (this.active) return;
+        this.handlers = handlers;
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.active = true;
+        this.startedAt = Date.now();
+        this._recordClip();
+        console.log('🎙️ Server transcription started');
+    },
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        clearTimeout(this.clipTimer);
+        this.flushed = new Promise(resolve => {
+            this._onFlushed = resolve;
+        });
+
+        // Stopping the recorder flushes the last clip, which is still uploaded
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        console.log('🎙️ Server transcription stopped');
+    },
+
+    // Resolves when everything recorded before stop() has been transcribed
+    async whenIdle() {
+        await this.flushed;
+        await this.uploadChain;
+    },
+
+    // Record one clip; when it ends, upload it and start the next
+    _recordClip() {
+        const chunks = [];
+        const offset = this.handlers.elapsed ? this.handlers.elapsed() : (Date.now() - this.startedAt) / 1000;
+        const recorder = new MediaRecorder(this.stream, this._recorderOptions());
+        this.recorder = recorder;
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+
+        recorder.onstop = () => {
+            if (chunks.length > 0) {
+                this._enqueueUpload(new Blob(chunks, { type: recorder.mimeType }), offset);
+            }
+            if (this.active) {
+                this._recordClip();
+            } else {
+                this._onFlushed?.();
+            }
+        };
+
+        recorder.start();
+        this.clipTimer = setTimeout(() => {
+            if (recorder.state !== 'inactive') recorder.stop();
+        }, this.CLIP_MS);
+    },
+
+    _recorderOptions() {
+        const types = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+        const mimeType = types.find(type => MediaRecorder.isTypeSupported?.(type));
+        return mimeType ? { mimeType } : {};
+    },
+
+    // Upload clips one at a time so text arrives in speaking order
+    _enqueueUpload(blob, offset) {
+        this._setPending(this.pending + 1);
+
+        this.uploadChain = this.uploadChain
+            .then(() => this._upload(blob))
+            .then(result => {
+                if (result.text) {
+                    // Clip timestamps are relative to the clip; make them relative to the recording
+                    const segments = (result.segments || []).map(s => ({
+                        ...s,
+                        start: s.start + offset,
+                        end: s.end === null || s.end === undefined ? null : s.end + offset
+                    }));
+                    this.handlers.onText?.(result.text, segments, offset);
+                }
+            })
+            .catch(error => {
+                console.error('Server transcription error:', error);
+                this.handlers.onError?.(error);
+            })
+            .finally(() => this._setPending(this.pending - 1));
+    },
+
+    async _upload(blob) {
+        const params = this.handlers.language ? `?language=${encodeURIComponent(this.handlers.language)}` : '';
+        const response = await fetch(`${this.ENDPOINT}${params}`, {
+            method: 'POST',
+            headers: {
+                // Sent as raw bytes; the real type travels in X-Audio-Type
+                'Content-Type': 'application/octet-stream',
+                'X-Audio-Type': blob.type || 'audio/webm'
+            },
+            body: blob
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || `Transcription failed (${response.status})`);
+        }
+        return data;
+    },
+
+    _setPending(count) {
+        this.pending = count;
+        this.handlers.onPendingChange?.(count);
+    }
+};
+
+window.ServerTranscriber = ServerTranscriber;
@@ -13,6 +13,8 @@ const SessionManager = {
             timestamp: new Date().toISOString(),
             patient: sessionData.patient,
             transcription: sessionData.transcription,
+            transcript: sessionData.transcript || null,
+            language: sessionData.language || null,
             fhirData: sessionData.fhirData,
             connector: sessionData.connector
         };
@@ -118,7 +120,7 @@ const SessionManager = {
 
     <div class="section">
         <h2>Transcription</h2>
-        <div class="transcription">${session.transcription}</div>
+        <div class="transcription">${this.formatTranscriptForPDF(session)}</div>
     </div>
 
     <div class="section">
@@ -141,6 +143,21 @@ const SessionManager = {
         toast.success('Clinical note downloaded (open in browser and print to PDF)');
     },
 
+    // Speaker-labelled turns when the session has them, otherwise the plain transcription
+    formatTranscriptForPDF(session) {
+        if (!session.transcript?.length || !Transcript.hasSpeakers(session.transcript)) {
+            return session.transcription;
+        }
+
+        return Transcript.toLabeledText(session.transcript)
+            .split('\n')
+            .map(line => {
+                const [label, ...rest] = line.split(': ');
+                return rest.length > 0 ? `<p><strong>${label}:</strong> ${rest.join(': ')}</p>` : `<p>${line}</p>`;
+            })
+            .join('');
+    },
+
     formatFHIRForPDF(fhirData) {
         if (!fhirData || !fhirData.entry) return '<p>No clinical data</p>';
 
@@ -149,6 +166,7 @@ const SessionManager = {
             'Condition': 'Diagnoses',
             'Observation': 'Symptoms/Observations',
             'MedicationStatement': 'Medications',
+            'MedicationRequest': 'Prescriptions',
             'Procedure': 'Procedures'
         };
 
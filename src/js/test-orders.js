@@ -0,0 +1,65 @@
+/**
+ * Test Orders - lab and imaging orders proposed from clinical decision support
+ * A recommendation's meta.clinicalDecisionSupport[].order is
+ * { type, name, code, priority, reason, accepted }; code is a LOINC code and
+ * only orders the clinician accepted are pushed.
+ * Shared by the browser (review panel, push) and the server (extraction prompt)
+ */
+
+const TestOrders = {
+    // SNOMED CT categories used for FHIR ServiceRequest.category
+    TYPES: {
+        lab: { name: 'Laboratory', snomed: '108252007', display: 'Laboratory procedure' },
+        imaging: { name: 'Imaging', snomed: '363679005', display: 'Imaging' }
+    },
+
+    // FHIR ServiceRequest.priority values
+    PRIORITIES: ['routine', 'urgent', 'stat'],
+
+    IMAGING_PATTERN: /x-?ray|radiograph|ultrasound|sonograph|\bct\b|\bmri\b|\bscan\b|mammogra|echocardiogra|imaging/i,
+
+    /**
+     * An order proposal for a recommendation the model didn't attach one to
+     * @param {Object} cds - meta.clinicalDecisionSupport entry
+     * @returns {Object} { type, name, code, priority, reason, accepted }
+     */
+    propose(cds) {
+        const message = cds.message || cds.recommendation || '';
+        // "Consider ordering chest X-ray based on symptoms" -> "chest X-ray"
+        const name = message
+            .replace(/^(please\s+)?(consider|recommend|suggest|should)\s+(ordering|requesting|obtaining|doing|getting|a|an)?\s*/i, '')
+            .replace(/\s+(based on|due to|given|because|to (rule out|exclude|assess|check)).*$/i, '')
+            .replace(/[.!]$/, '')
+            .trim();
+
+        return {
+            type: this.IMAGING_PATTERN.test(message) ? 'imaging' : 'lab',
+            name: name ? name.charAt(0).toUpperCase() + name.slice(1) : 'New test',
+            code: '',
+            priority: cds.priority === 'high' ? 'urgent' : 'routine',
+            reason: cds.rationale || cds.reasoning || message,
+            accepted: false
+        };
+    },
+
+    // The accepted orders of a set of recommendations
+    accepted(clinicalDecisionSupport) {
+        return (clinicalDecisionSupport || [])
+            .map(cds => cds?.order)
+            .filter(order => order?.accepted && order.name);
+    },
+
+    // "Chest X-ray (imaging, urgent) - productive cough"
+    describe(order) {
+        const details = [order.type, order.priority !== 'routine' ? order.priority : null].filter(Boolean);
+        return `${order.name}${details.length ? ` (${details.join(', ')})` : ''}${order.reason ? ` - ${order.reason}` : ''}`;
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestOrders;
+}
+if (typeof window !== 'undefined') {
+    window.TestOrders = TestOrders;
+}
@@ -0,0 +1,302 @@
+/**
+ * Transcript - the recording as speaker-labelled, timestamped segments
+ * Shared by the browser (recording, review) and the server (extraction prompt)
+ */
+
+const Transcript = {
+    SPEAKERS: {
+        clinician: 'Clinician',
+        patient: 'Patient'
+    },
+
+    // Headings a dictated note can be divided into
+    SECTIONS: {
+        history: 'History',
+        examination: 'Examination',
+        assessment: 'Assessment',
+        plan: 'Plan'
+    },
+
+    segments: [],
+    currentSpeaker: 'clinician',    // Who new segments are attributed to
+    startedAt: 0,
+    pausedAt: 0,                    // Set while paused; paused time doesn't count towards timestamps
+    pausedTotal: 0,
+    replacing: null,                // { index, removed } while a segment is being re-recorded
+    paragraphPending: false,        // The next segment starts a new paragraph
+    nextId: 1,
+
+    // Start a new recording; timestamps are seconds from here. The current speaker is kept,
+    // so it can be chosen before recording starts
+    reset() {
+        this.segments = [];
+        this.startedAt = Date.now();
+        this.pausedAt = 0;
+        this.pausedTotal = 0;
+        this.replacing = null;
+        this.paragraphPending = false;
+        this.nextId = 1;
+    },
+
+    // Seconds of recording so far, not counting pauses - matches the captured audio's timeline
+    elapsed() {
+        if (!this.startedAt) return 0;
+        const now = this.pausedAt || Date.now();
+        return (now - this.startedAt - this.pausedTotal) / 1000;
+    },
+
+    pause() {
+        if (!this.pausedAt) {
+            this.pausedAt = Date.now();
+        }
+    },
+
+    resume() {
+        if (!this.startedAt) {
+            // Restored transcript: carry on after its last timestamp
+            const lastEnd = Math.max(0, ...this.segments.map(s => s.end ?? s.start ?? 0));
+            this.startedAt = Date.now() - lastEnd * 1000;
+        }
+        if (this.pausedAt) {
+            this.pausedTotal += Date.now() - this.pausedAt;
+            this.pausedAt = 0;
+        }
+    },
+
+    /**
+     * Append a finished segment
+     * @param {string} text - Segment text
+     * @param {Object} options - { speaker, start, end, paragraph, section } - speaker defaults to currentSpeaker
+     * @returns {Object|null} The segment, or null for empty text
+     */
+    add(text, { speaker = this.currentSpeaker, start = null, end = null, paragraph = false, section = null } = {}) {
+        const clean = (text || '').trim();
+        if (!clean) return null;
+
+        const segment = { id: this.nextId++, speaker, start, end, text: clean };
+        if (paragraph || this.paragraphPending) {
+            segment.paragraph = true;
+            this.paragraphPending = false;
+        }
+        if (this.SECTIONS[section]) {
+            segment.section = section;
+        }
+        if (this.replacing) {
+            // Re-recording: the first new segment takes the old one's place, the rest follow it
+            this.segments.splice(this.replacing.index, this.replacing.removed ? 0 : 1, segment);
+            this.replacing.removed = true;
+            this.replacing.index++;
+        } else {
+            this.segments.push(segment);
+        }
+        return segment;
+    },
+
+    remove(id) {
+        this.segments = this.segments.filter(s => s.id !== id);
+    },
+
+    // Start a new paragraph with whatever is said next
+    breakParagraph() {
+        this.paragraphPending = this.segments.length > 0;
+    },
+
+    /**
+     * Add a section heading ("Assessment:"); what follows belongs to that section
+     * @param {string} section - Key of SECTIONS
+     * @returns {Object|null} The heading segment, or null for an unknown section
+     */
+    addSection(section) {
+        if (!this.SECTIONS[section]) return null;
+        const elapsed = this.startedAt ? this.elapsed() : null;
+        return this.add(`${this.SECTIONS[section]}:`, { speaker: null, start: elapsed, end: elapsed, paragraph: true, section });
+    },
+
+    // Drop the most recently added segment ("scratch that")
+    removeLast() {
+        if (this.segments.length === 0) return null;
+        const index = this.segments.reduce((latest, s, i) => s.id > this.segments[latest].id ? i : latest, 0);
+        const [removed] = this.segments.splice(index, 1);
+        if (this.replacing && index < this.replacing.index) {
+            this.replacing.index--;
+        }
+        return removed;
+    },
+
+    /**
+     * Send new segments to a segment's position instead of the end. The old
+     * segment is only replaced once something new is said.
+     * @param {number} id - Segment to re-record
+     */
+    startReplacing(id) {
+        const index = this.segments.findIndex(s => s.id === id);
+        this.replacing = index === -1 ? null : { index, removed: false, id };
+    },
+
+    stopReplacing() {
+        this.replacing = null;
+    },
+
+    toggleCurrentSpeaker() {
+        this.currentSpeaker = this.currentSpeaker === 'clinician' ? 'patient' : 'clinician';
+        return this.currentSpeaker;
+    },
+
+    // Flip one segment's speaker (unlabelled segments become the clinician's)
+    toggleSpeaker(id) {
+        const segment = this.segments.find(s => s.id === id);
+        if (segment) {
+            segment.speaker = segment.speaker === 'clinician' ? 'patient' : 'clinician';
+        }
+        return segment;
+    },
+
+    // True once any segment is attributed to a speaker
+    hasSpeakers(segments = this.segments) {
+        return segments.some(s => this.SPEAKERS[s.speaker]);
+    },
+
+    toPlainText(segments = this.segments) {
+        return segments.map((s, i) => (i > 0 ? (s.paragraph ? '\n\n' : ' ') : '') + s.text).join('');
+    },
+
+    /**
+     * One line per speaker turn: "Clinician: ...", "Patient: ..."
+     * Consecutive segments from the same speaker are merged into one turn,
+     * unless a new paragraph or section starts.
+     * @param {Array<Object>} segments - Defaults to the current recording
+     * @returns {string} Labelled transcript
+     */
+    toLabeledText(segments = this.segments) {
+        const turns = [];
+        for (const segment of segments) {
+            const last = turns[turns.length - 1];
+            if (last && last.speaker === segment.speaker && !segment.paragraph) {
+                last.text += ' ' + segment.text;
+            } else {
+                turns.push({ speaker: segment.speaker, text: segment.text });
+            }
+        }
+
+        return turns
+            .map(turn => this.SPEAKERS[turn.speaker] ? `${this.SPEAKERS[turn.speaker]}: ${turn.text}` : turn.text)
+            .join('\n');
+    },
+
+    // One labelled line per segment, for hand editing (keeps applyEdit's positions aligned).
+    // A blank line marks a new paragraph
+    toEditableText(segments = this.segments) {
+        return segments
+            .map((s, i) => (i > 0 && s.paragraph ? '\n' : '') +
+                (this.SPEAKERS[s.speaker] ? `${this.SPEAKERS[s.speaker]}: ${s.text}` : s.text))
+            .join('\n');
+    },
+
+    /**
+     * Replace the segments with hand-edited text. Lines may start with
+     * "Clinician:" or "Patient:"; unlabelled lines continue the previous speaker.
+     * A blank line starts a paragraph and a line like "Plan:" is a section heading.
+     * Timestamps are kept for lines that stay in the same position.
+     * @param {string} text - Edited transcript
+     */
+    applyEdit(text) {
+        const labels = Object.entries(this.SPEAKERS);
+        const headings = Object.entries(this.SECTIONS);
+        const previous = this.segments;
+        let speaker = null;
+
+        this.segments = [];
+        this.paragraphPending = false;
+        this.nextId = 1;
+
+        (text || '').split('\n').forEach(line => {
+            let content = line.trim();
+            if (!content) {
+                this.breakParagraph();
+                return;
+            }
+
+            const kept = previous[this.segments.length];
+            const heading = headings.find(([, name]) => content.toLowerCase() === name.toLowerCase() + ':');
+            if (heading) {
+                this.add(`${heading[1]}:`, { speaker: null, start: kept?.start ?? null, end: kept?.end ?? null, paragraph: true, section: heading[0] });
+                return;
+            }
+
+            const label = labels.find(([, name]) => content.toLowerCase().startsWith(name.toLowerCase() + ':'));
+            if (label) {
+                speaker = label[0];
+                content = content.slice(label[1].length + 1).trim();
+            }
+
+            this.add(content, { speaker, start: kept?.start ?? null, end: kept?.end ?? null });
+        });
+    },
+
+    // Restore saved segments (autosave, session history); recording resumes after them
+    load(segments) {
+        this.segments = [];
+        this.startedAt = 0;
+        this.pausedAt = 0;
+        this.pausedTotal = 0;
+        this.replacing = null;
+        this.paragraphPending = false;
+        this.nextId = 1;
+        (segments || []).forEach(s => this.add(s.text, {
+            speaker: s.speaker ?? null,
+            start: s.start ?? null,
+            end: s.end ?? null,
+            paragraph: s.paragraph === true,
+            section: s.section ?? null
+        }));
+    },
+
+    /**
+     * Find the segment an evidence quote most likely came from, by shared words.
+     * The model is asked to quote, but often paraphrases slightly.
+     * @param {string} quote - Evidence text
+     * @param {Array<Object>} segments - Defaults to the current recording
+     * @returns {Object|null} Best segment, or null if nothing shares enough words
+     */
+    findBestMatch(quote, segments = this.segments) {
+        const quoteWords = new Set(this._words(quote));
+        if (quoteWords.size === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+        for (const segment of segments) {
+            if (segment.section) continue;
+            const shared = new Set(this._words(segment.text).filter(word => quoteWords.has(word))).size;
+            const score = shared / quoteWords.size;
+            if (score > bestScore) {
+                best = segment;
+                bestScore = score;
+            }
+        }
+
+        // A third of the quote's words is enough to be the same utterance, not a coincidence
+        return bestScore >= 0.34 ? best : null;
+    },
+
+    // Lower-case words of 3+ letters, accents kept (French, Spanish, Portuguese)
+    _words(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    },
+
+    // Plain copies, safe to store or send
+    toJSON() {
+        return this.segments.map(({ speaker, start, end, text, paragraph, section }) => ({
+            speaker, start, end, text,
+            ...(paragraph && { paragraph }),
+            ...(section && { section })
+        }));
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transcript;
+}
+if (typeof window !== 'undefined') {
+    window.Transcript = Transcript;
+}
@@ -0,0 +1,127 @@
+/**
+ * Vital Signs - LOINC codes, units and plausible ranges for the vitals the extraction codes
+ * Shared by the browser (review panel, push) and the server (extraction prompt)
+ */
+
+const Vitals = {
+    // Keyed by LOINC code. min/max are what a review should question; chartMin/chartMax are the
+    // absolute ranges charts accept (CIEL's, which OpenMRS enforces) - a value outside them isn't pushed
+    TYPES: {
+        '8480-6': { name: 'Systolic blood pressure', unit: 'mmHg', ucum: 'mm[Hg]', min: 50, max: 250, chartMin: 0, chartMax: 250 },
+        '8462-4': { name: 'Diastolic blood pressure', unit: 'mmHg', ucum: 'mm[Hg]', min: 20, max: 150, chartMin: 0, chartMax: 150 },
+        '8867-4': { name: 'Heart rate', unit: 'beats/min', ucum: '/min', min: 20, max: 230, chartMin: 0, chartMax: 230 },
+        '9279-1': { name: 'Respiratory rate', unit: 'breaths/min', ucum: '/min', min: 4, max: 80, chartMin: 0, chartMax: 99 },
+        '8310-5': { name: 'Body temperature', unit: '°C', ucum: 'Cel', min: 30, max: 43, chartMin: 25, chartMax: 43 },
+        '59408-5': { name: 'Oxygen saturation (SpO2)', unit: '%', ucum: '%', min: 50, max: 100, chartMin: 0, chartMax: 100 },
+        '29463-7': { name: 'Body weight', unit: 'kg', ucum: 'kg', min: 0.3, max: 250, chartMin: 0, chartMax: 250 },
+        '8302-2': { name: 'Body height', unit: 'cm', ucum: 'cm', min: 20, max: 228, chartMin: 10, chartMax: 228 }
+    },
+
+    // Other ways units get written, and how to convert them
+    CONVERSIONS: {
+        'mm hg': { unit: 'mmHg', convert: v => v },
+        'bpm': { unit: 'beats/min', convert: v => v },
+        '/min': { unit: null, convert: v => v },           // Whichever per-minute unit the vital uses
+        'per minute': { unit: null, convert: v => v },
+        'c': { unit: '°C', convert: v => v },
+        'cel': { unit: '°C', convert: v => v },
+        '°f': { unit: '°C', convert: v => Math.round((v - 32) * 5 / 9 * 10) / 10 },
+        'f': { unit: '°C', convert: v => Math.round((v - 32) * 5 / 9 * 10) / 10 },
+        'lb': { unit: 'kg', convert: v => Math.round(v * 0.45359 * 10) / 10 },
+        'lbs': { unit: 'kg', convert: v => Math.round(v * 0.45359 * 10) / 10 },
+        'm': { unit: 'cm', convert: v => Math.round(v * 1000) / 10 },
+        'in': { unit: 'cm', convert: v => Math.round(v * 25.4) / 10 }
+    },
+
+    get(loinc) {
+        return this.TYPES[loinc] || null;
+    },
+
+    // Observations the extraction marked as vital signs
+    isVital(resource) {
+        return resource?.resourceType === 'Observation' &&
+            (resource.category || []).some(c => c?.text === 'vital-signs' || c?.coding?.some(code => code.code === 'vital-signs'));
+    },
+
+    loincOf(resource) {
+        return (resource?.code?.coding || []).find(c => /loinc/i.test(c?.system || ''))?.code || null;
+    },
+
+    /**
+     * Read a vital sign Observation, converting to the vital's standard unit where needed
+     * @param {Object} resource - FHIR Observation
+     * @returns {Object|null} { loinc, name, value, unit } - null without a numeric value
+     */
+    fromObservation(resource) {
+        const value = resource?.valueQuantity?.value;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+        const loinc = this.loincOf(resource);
+        const type = this.get(loinc);
+        let unit = resource.valueQuantity.unit || type?.unit || '';
+        let converted = value;
+
+        const conversion = this.CONVERSIONS[unit.trim().toLowerCase()];
+        if (type && unit !== type.unit && conversion && (conversion.unit === null || conversion.unit === type.unit)) {
+            converted = conversion.convert(value);
+            unit = type.unit;
+        }
+
+        return { loinc, name: type?.name || resource.code?.text || 'Vital sign', value: converted, unit };
+    },
+
+    /**
+     * Check a value against the vital's plausible range
+     * @returns {string|null} Problem to show the reviewer, or null if it looks right
+     */
+    checkRange(loinc, value, unit) {
+        const problem = this.chartProblem(loinc, value, unit);
+        if (problem) {
+            return `${problem} - correct it before pushing`;
+        }
+        const type = this.get(loinc);
+        if (type && (value < type.min || value > type.max)) {
+            return `outside the expected range (${type.min}-${type.max} ${type.unit})`;
+        }
+        return null;
+    },
+
+    /**
+     * Why a vital sign can't be charted: a unit other than the vital's, or a value outside the absolute range
+     * @returns {string|null} Reason, or null when it can be pushed
+     */
+    chartProblem(loinc, value, unit) {
+        const type = this.get(loinc);
+        if (!type) return null;
+        if (unit && unit !== type.unit) {
+            return `must be in ${type.unit}, not ${unit}`;
+        }
+        if (value < type.chartMin || value > type.chartMax) {
+            return `${value} ${type.unit} is outside what a chart accepts (${type.chartMin}-${type.chartMax} ${type.unit})`;
+        }
+        return null;
+    },
+
+    // A new vital sign Observation, shaped like the extraction's
+    toObservation(loinc, value) {
+        const type = this.get(loinc);
+        return {
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{ text: 'vital-signs' }],
+            code: {
+                text: type.name,
+                coding: [{ system: 'http://loinc.org', code: loinc, display: type.name }]
+            },
+            valueQuantity: { value, unit: type.unit }
+        };
+    }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Vitals;
+}
+if (typeof window !== 'undefined') {
+    window.Vitals = Vitals;
+}
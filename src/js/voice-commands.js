@@ -0,0 +1,125 @@
+/**
+ * Voice Commands - spoken commands acted on during dictation instead of transcribed
+ * Formatting commands work anywhere in an utterance; commands that remove
+ * dictation or leave the recording or the step only count when said on their
+ * own, so "the next step is an X-ray" and "delete that old prescription" stay dictation.
+ */
+
+const VoiceCommands = {
+    enabled: true,
+
+    COMMANDS: [
+        { action: 'newParagraph', phrases: ['new paragraph'], description: 'Start a new paragraph' },
+        { action: 'section', phrases: ['section <name>'], description: 'Start a section: history, examination, assessment or plan' },
+        { action: 'scratchThat', phrases: ['scratch that', 'delete that'], standalone: true, description: 'Remove the last thing transcribed' },
+        { action: 'stopRecording', phrases: ['stop recording', 'pause recording'], standalone: true, description: 'Pause the recording' },
+        { action: 'nextStep', phrases: ['next step', 'process note'], standalone: true, description: 'Finish dictating and review the note' },
+        { action: 'previousStep', phrases: ['go back', 'previous step'], standalone: true, description: 'Go back a step' },
+        { action: 'saveSession', phrases: ['save session'], standalone: true, description: 'Save the session' }
+    ],
+
+    // Spoken section names and the section they start
+    SECTION_NAMES: {
+        'history': 'history',
+        'subjective': 'history',
+        'examination': 'examination',
+        'exam': 'examination',
+        'objective': 'examination',
+        'assessment': 'assessment',
+        'diagnosis': 'assessment',
+        'plan': 'plan'
+    },
+
+    handlers: {},
+
+    /**
+     * Set what a command does
+     * @param {string} action - Action name from COMMANDS
+     * @param {Function} handler - Called with the command's argument (the section for 'section')
+     */
+    register(action, handler) {
+        this.handlers[action] = handler;
+    },
+
+    /**
+     * Split a final recognition result into dictation and commands, in spoken order
+     * @param {string} text - Recognized text
+     * @returns {Array<Object>} [{ type: 'text', text }, { type: 'command', action, argument }]
+     */
+    parse(text) {
+        if (!this.enabled || !text) {
+            return text ? [{ type: 'text', text }] : [];
+        }
+
+        // Commands said on their own: the whole utterance, ignoring case and punctuation
+        const spoken = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+        const standalone = this.COMMANDS.find(c => c.standalone && c.phrases.includes(spoken));
+        if (standalone) {
+            return [{ type: 'command', action: standalone.action, argument: null }];
+        }
+
+        const parts = [];
+        let lastIndex = 0;
+        let match;
+        const pattern = this._inlinePattern();
+        while ((match = pattern.exec(text)) !== null) {
+            const before = text.slice(lastIndex, match.index).trim();
+            if (before) {
+                parts.push({ type: 'text', text: before });
+            }
+            parts.push(this._toCommand(match));
+            lastIndex = pattern.lastIndex;
+        }
+
+        const rest = text.slice(lastIndex).trim();
+        if (rest) {
+            parts.push({ type: 'text', text: rest });
+        }
+        return parts;
+    },
+
+    /**
+     * Run the commands in a final result, passing the dictated text between them to onText
+     * @param {string} text - Recognized text
+     * @param {Function} onText - Receives each piece of dictation
+     * @returns {boolean} True if any command was found
+     */
+    handle(text, onText) {
+        let found = false;
+        for (const part of this.parse(text)) {
+            if (part.type === 'text') {
+                onText(part.text);
+                continue;
+            }
+
+            found = true;
+            console.log(`🗣️ Voice command: ${part.action}${part.argument ? ` (${part.argument})` : ''}`);
+            const handler = this.handlers[part.action];
+            if (handler) {
+                handler(part.argument);
+            }
+        }
+        return found;
+    },
+
+    // Matches the commands that may appear mid-utterance, with the punctuation recognition puts after them
+    _inlinePattern() {
+        const sections = Object.keys(this.SECTION_NAMES).join('|');
+        const phrases = this.COMMANDS
+            .filter(c => !c.standalone && c.action !== 'section')
+            .flatMap(c => c.phrases)
+            .join('|');
+        return new RegExp(`\\b(?:section (${sections})|(${phrases}))\\b[.,:;!?]?`, 'gi');
+    },
+
+    _toCommand(match) {
+        if (match[1]) {
+            return { type: 'command', action: 'section', argument: this.SECTION_NAMES[match[1].toLowerCase()] };
+        }
+        const phrase = match[2].toLowerCase();
+        const command = this.COMMANDS.find(c => c.phrases.includes(phrase));
+        return { type: 'command', action: command.action, argument: null };
+    }
+};
+
+window.VoiceCommands = VoiceCommands;